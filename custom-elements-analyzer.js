@@ -0,0 +1,468 @@
+/* custom-elements-analyzer.js
+ *
+ * Check HTML files against your resolver before deploy, without a browser (Node 20.19 or newer).
+ *
+ * It reads each page, finds the custom tags in it (including those inside templates) and asks the
+ * same resolver the page uses what each one is, the way the loader would: once per tag, or once per
+ * element when the resolver lists observedAttributes. Then it checks what the resolutions point at:
+ * - importFromUrl, importFromHtml, styles and preload files exist
+ * - importFromTmpl ids exist in the page, and their root is the tag being defined
+ * - importFromHtml files contain the template (by #id, or one rooted at the tag)
+ * - template behavior scripts (<script type="module" src>) exist
+ *
+ * As a module:
+ *
+ *   import { analyzeHtmlFiles, formatAnalyzerReport } from "./custom-elements-analyzer.js";
+ *   import { allowMapResolver } from "./custom-elements.js";
+ *
+ *   const report = await analyzeHtmlFiles(["index.html"], { resolver: allowMapResolver({ ... }) });
+ *   if (!report.ok) throw new Error(formatAnalyzerReport(report));
+ *
+ * From the command line (exit code 1 when something is broken):
+ *
+ *   node custom-elements-analyzer.js [--config analyzer.config.js] [--root dir] [--json] [--fail-on-skipped] page.html...
+ *
+ * The config module's default export is the options object ({ resolver, root, loaderPath }).
+ * Without one, the resolver is attributeUrlResolver composed with attributeTemplateResolver.
+ *
+ * URLs resolve the way they do in the browser: resolution URLs against custom-elements.js
+ * (loaderPath), behavior scripts against the page, and root-relative URLs against root.
+ * Files are only checked on disk; URLs on other origins, data: and load() factories are
+ * counted as resolved but not followed. Resolvers that fetch (manifestResolver, probe) need a
+ * browser, and patternResolver's template ids are never found here, as there is no document.
+ */
+
+import { readFile, access } from "node:fs/promises";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import path from "node:path";
+import {
+  attributeTemplateResolver,
+  attributeUrlResolver,
+  composeOnDemandCustomElementResolvers,
+  isPotentialCustomElementTag,
+} from "./custom-elements.js";
+
+/**
+ * @typedef {import("./custom-elements.js").OnDemandCustomElementResolver} OnDemandCustomElementResolver
+ * @typedef {import("./custom-elements.js").OnDemandCustomElementResolution} OnDemandCustomElementResolution
+ */
+
+/**
+ * @typedef {{
+ *   resolver?: OnDemandCustomElementResolver;
+ *   root?: string;
+ *   loaderPath?: string;
+ * }} CustomElementsAnalyzerOptions
+ */
+
+/**
+ * Where a tag was found: the page and the line of its first instance (or of the element, when the
+ * resolver decides per element).
+ *
+ * @typedef {{ tag: string; file: string; line: number }} AnalyzedTagSite
+ */
+
+/**
+ * @typedef {{
+ *   files: string[];
+ *   resolved: (AnalyzedTagSite & { resolution: OnDemandCustomElementResolution })[];
+ *   unresolved: (AnalyzedTagSite & { error: string })[];
+ *   skipped: AnalyzedTagSite[];
+ *   missingTemplates: (AnalyzedTagSite & { template: string; source?: string; problem: "not-found" | "no-root" | "root-mismatch" })[];
+ *   missingFiles: (AnalyzedTagSite & { url: string; path: string; kind: "module" | "html" | "style" | "preload" | "script" })[];
+ *   ok: boolean;
+ * }} CustomElementsAnalyzerReport
+ */
+
+/**
+ * What the parser keeps of an element: enough for resolvers (getAttribute and friends) and for the
+ * checks above.
+ *
+ * @typedef {{
+ *   localName: string;
+ *   tagName: string;
+ *   line: number;
+ *   getAttribute(name: string): string | null;
+ *   hasAttribute(name: string): boolean;
+ *   getAttributeNames(): string[];
+ * }} AnalyzedElement
+ */
+
+/**
+ * @typedef {{ id: string | null; line: number; root: AnalyzedElement | null; scripts: AnalyzedElement[] }} AnalyzedTemplate
+ */
+
+/**
+ * @typedef {{ elements: AnalyzedElement[]; templates: AnalyzedTemplate[] }} AnalyzedDocument
+ */
+
+// Stands in for the site's origin, so root-relative and page-relative URLs resolve like in the browser.
+const SITE_ORIGIN = "https://site.invalid";
+
+// Elements whose content is text up to their end tag, not markup.
+const RAW_TEXT_ELEMENTS = new Set(["script", "style", "textarea", "title", "xmp", "iframe", "noembed", "noframes"]);
+
+const ENTITIES = /** @type {Record<string, string>} */ ({ amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " });
+
+/** @param {string} value */
+function decodeEntities(value) {
+  return value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, ref) => {
+    if (ref[0] !== "#") return ENTITIES[ref.toLowerCase()] ?? m;
+    const code = ref[1] === "x" || ref[1] === "X" ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+    return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : m;
+  });
+}
+
+/**
+ * @param {string} localName
+ * @param {Map<string, string>} attrs
+ * @param {number} line
+ * @returns {AnalyzedElement}
+ */
+function analyzedElement(localName, attrs, line) {
+  return {
+    localName,
+    tagName: localName.toUpperCase(),
+    line,
+    getAttribute: (name) => attrs.get(name.toLowerCase()) ?? null,
+    hasAttribute: (name) => attrs.has(name.toLowerCase()),
+    getAttributeNames: () => [...attrs.keys()],
+  };
+}
+
+/**
+ * A tolerant tokenizer for what the analyzer needs: start tags with their attributes, comments and
+ * raw text skipped, and templates with their first element and module scripts. It does not build
+ * a tree; only template nesting is tracked.
+ *
+ * @param {string} html
+ * @returns {AnalyzedDocument}
+ */
+function parseHtml(html) {
+  /** @type {AnalyzedElement[]} */
+  const elements = [];
+  /** @type {AnalyzedTemplate[]} */
+  const templates = [];
+  /** @type {AnalyzedTemplate[]} */
+  const openTemplates = [];
+
+  let line = 1;
+  let counted = 0;
+  /** @param {number} offset */
+  const lineAt = (offset) => {
+    for (; counted < offset; counted++) if (html.charCodeAt(counted) === 10) line++;
+    return line;
+  };
+
+  const attrRe = /\s*([^\s"'>/=][^\s"'>/=]*)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/y;
+  let i = 0;
+  while ((i = html.indexOf("<", i)) !== -1) {
+    if (html.startsWith("<!--", i)) {
+      const end = html.indexOf("-->", i + 4);
+      i = end === -1 ? html.length : end + 3;
+      continue;
+    }
+    if (html[i + 1] === "!" || html[i + 1] === "?") {
+      const end = html.indexOf(">", i);
+      i = end === -1 ? html.length : end + 1;
+      continue;
+    }
+
+    const closing = html[i + 1] === "/";
+    const name = /^[a-zA-Z][^\s/>]*/.exec(html.slice(i + (closing ? 2 : 1), i + 260))?.[0];
+    if (!name) {
+      i++;
+      continue;
+    }
+    const localName = name.toLowerCase();
+    const tagLine = lineAt(i);
+    let j = i + (closing ? 2 : 1) + name.length;
+
+    /** @type {Map<string, string>} */
+    const attrs = new Map();
+    for (;;) {
+      attrRe.lastIndex = j;
+      const m = attrRe.exec(html);
+      if (!m) break;
+      j = attrRe.lastIndex;
+      const attrName = m[1].toLowerCase();
+      if (!attrs.has(attrName)) attrs.set(attrName, decodeEntities(m[2] ?? m[3] ?? m[4] ?? ""));
+    }
+    const end = html.indexOf(">", j);
+    i = end === -1 ? html.length : end + 1;
+
+    if (closing) {
+      if (localName === "template") openTemplates.pop();
+      continue;
+    }
+
+    const el = analyzedElement(localName, attrs, tagLine);
+    const inTemplate = openTemplates.at(-1);
+    if (inTemplate && localName === "script" && attrs.get("type") === "module") inTemplate.scripts.push(el);
+    // A template's root is the element it defines, not an instance; what it contains is rendered.
+    if (inTemplate && !inTemplate.root) inTemplate.root = el;
+    else if (isPotentialCustomElementTag(localName)) elements.push(el);
+
+    if (localName === "template") {
+      const tmpl = { id: attrs.get("id") ?? null, line: tagLine, root: null, scripts: [] };
+      templates.push(tmpl);
+      openTemplates.push(tmpl);
+    } else if (RAW_TEXT_ELEMENTS.has(localName) && html[end - 1] !== "/") {
+      const close = html.toLowerCase().indexOf(`</${localName}`, i);
+      i = close === -1 ? html.length : close;
+    }
+  }
+  return { elements, templates };
+}
+
+/** @param {OnDemandCustomElementResolver} resolver */
+function resolvesPerElement(resolver) {
+  return (resolver.observedAttributes?.length ?? 0) > 0;
+}
+
+/**
+ * Analyze HTML pages: which custom tags they use, what the resolver makes of them, and whether the
+ * files and templates those resolutions name are there.
+ *
+ * @param {string[]} files paths of HTML pages
+ * @param {CustomElementsAnalyzerOptions} [options]
+ * @returns {Promise<CustomElementsAnalyzerReport>}
+ */
+export async function analyzeHtmlFiles(files, options = {}) {
+  const resolver = options.resolver ?? composeOnDemandCustomElementResolvers(attributeUrlResolver(), attributeTemplateResolver());
+  const root = path.resolve(options.root ?? ".");
+  const loaderPath = path.resolve(options.loaderPath ?? fileURLToPath(new URL("./custom-elements.js", import.meta.url)));
+
+  /** @type {CustomElementsAnalyzerReport} */
+  const report = { files, resolved: [], unresolved: [], skipped: [], missingTemplates: [], missingFiles: [], ok: true };
+
+  /** @param {string} file */
+  const siteHref = (file) => SITE_ORIGIN + "/" + path.relative(root, path.resolve(file)).split(path.sep).map(encodeURIComponent).join("/");
+  const loaderHref = siteHref(loaderPath);
+
+  /**
+   * The file on disk behind a URL, or null when it lives somewhere the analyzer cannot look.
+   * @param {string} href
+   */
+  function localPath(href) {
+    const url = new URL(href);
+    if (url.protocol === "file:") return fileURLToPath(url);
+    if (url.origin !== SITE_ORIGIN) return null;
+    return path.join(root, decodeURIComponent(url.pathname));
+  }
+
+  /** @type {Map<string, Promise<boolean>>} */
+  const existing = new Map();
+  /** @param {string} p */
+  function exists(p) {
+    let known = existing.get(p);
+    if (!known) {
+      known = access(p).then(() => true, () => false);
+      existing.set(p, known);
+    }
+    return known;
+  }
+
+  /** @type {Map<string, Promise<AnalyzedDocument | null>>} */
+  const templateFiles = new Map();
+  /** @param {string} p */
+  function templateFile(p) {
+    let doc = templateFiles.get(p);
+    if (!doc) {
+      doc = readFile(p, "utf8").then(parseHtml, () => null);
+      templateFiles.set(p, doc);
+    }
+    return doc;
+  }
+
+  /**
+   * @param {AnalyzedTagSite} site
+   * @param {string | URL} url
+   * @param {string} base
+   * @param {CustomElementsAnalyzerReport["missingFiles"][number]["kind"]} kind
+   * @returns {Promise<string | null>} the local path, when the file is there
+   */
+  async function checkFile(site, url, base, kind) {
+    const href = new URL(String(url), base).href;
+    const p = localPath(href);
+    if (p == null) return null;
+    if (await exists(p)) return p;
+    report.missingFiles.push({ ...site, url: String(url), path: p, kind });
+    return null;
+  }
+
+  /**
+   * @param {AnalyzedTagSite} site
+   * @param {AnalyzedTemplate | undefined} tmpl
+   * @param {string} template how the resolution named it
+   * @param {string | undefined} defineAs
+   * @param {string} base what behavior script URLs resolve against
+   * @param {string} [source] the HTML file, for importFromHtml
+   */
+  async function checkTemplate(site, tmpl, template, defineAs, base, source) {
+    const missing = { ...site, template, source };
+    if (!tmpl) {
+      report.missingTemplates.push({ ...missing, problem: "not-found" });
+      return;
+    }
+    if (!tmpl.root) {
+      report.missingTemplates.push({ ...missing, problem: "no-root" });
+      return;
+    }
+    // The loader defines the template under its root tag (or defineAs); any other tag stays undefined.
+    if ((defineAs ?? tmpl.root.localName).toLowerCase() !== site.tag) {
+      report.missingTemplates.push({ ...missing, problem: "root-mismatch" });
+    }
+    const src = tmpl.scripts[0]?.getAttribute("src");
+    if (src) await checkFile(site, src, base, "script");
+  }
+
+  /**
+   * @param {AnalyzedTagSite} site
+   * @param {OnDemandCustomElementResolution} res
+   * @param {AnalyzedDocument} page
+   * @param {string} pageHref
+   */
+  async function checkResolution(site, res, page, pageHref) {
+    const checks = [
+      ...(res.styles ?? []).map((url) => checkFile(site, url, loaderHref, "style")),
+      ...(res.preload ?? []).map((url) => checkFile(site, url, loaderHref, "preload")),
+    ];
+    if (res.importFromTmpl) {
+      const tmpl = page.templates.find((t) => t.id === res.importFromTmpl);
+      checks.push(checkTemplate(site, tmpl, res.importFromTmpl, res.defineAs, pageHref));
+    } else if (res.importFromHtml) {
+      checks.push(
+        (async () => {
+          const url = new URL(String(res.importFromHtml), loaderHref);
+          const id = decodeURIComponent(url.hash.slice(1));
+          url.hash = "";
+          const p = await checkFile(site, url.href, loaderHref, "html");
+          const doc = p == null ? null : await templateFile(p);
+          if (!doc) return;
+          const tmpl = id
+            ? doc.templates.find((t) => t.id === id)
+            : doc.templates.find((t) => t.root?.localName === site.tag);
+          await checkTemplate(site, tmpl, id || site.tag, id ? res.defineAs : undefined, url.href, String(res.importFromHtml));
+        })(),
+      );
+    } else if (res.importFromUrl && !res.load) {
+      checks.push(checkFile(site, res.importFromUrl, loaderHref, "module"));
+    }
+    await Promise.all(checks);
+  }
+
+  for (const file of files) {
+    const page = parseHtml(await readFile(file, "utf8"));
+    const pageHref = siteHref(file);
+
+    /** @type {Map<string, AnalyzedElement[]>} */
+    const byTag = new Map();
+    for (const el of page.elements) {
+      const list = byTag.get(el.localName);
+      if (list) list.push(el);
+      else byTag.set(el.localName, [el]);
+    }
+
+    /** @type {Set<string>} */
+    const asked = new Set();
+    /**
+     * @param {string} tag
+     * @param {AnalyzedElement} el
+     * @returns {Promise<void>}
+     */
+    async function analyzeTag(tag, el) {
+      const site = { tag, file, line: el.line };
+      /** @type {false | OnDemandCustomElementResolution} */
+      let res;
+      try {
+        res = await resolver(tag, /** @type {any} */ (el));
+      } catch (err) {
+        report.unresolved.push({ ...site, error: err instanceof Error ? err.message : String(err) });
+        return;
+      }
+      if (res === false) {
+        report.skipped.push(site);
+        return;
+      }
+      if (!res.importFromUrl && !res.importFromTmpl && !res.importFromHtml && !res.load) {
+        report.unresolved.push({ ...site, error: "Resolution has none of importFromUrl, importFromTmpl, importFromHtml or load" });
+        return;
+      }
+      report.resolved.push({ ...site, resolution: res });
+      await checkResolution(site, res, page, pageHref);
+
+      // Dependencies load even when the page does not use them yet, so they have to resolve too.
+      for (const dep of (res.dependsOn ?? []).map((t) => t.toLowerCase())) {
+        if (byTag.has(dep) || asked.has(dep)) continue;
+        asked.add(dep);
+        await analyzeTag(dep, analyzedElement(dep, new Map(), el.line));
+      }
+    }
+
+    const perElement = resolvesPerElement(resolver);
+    for (const [tag, instances] of byTag) {
+      asked.add(tag);
+      for (const el of perElement ? instances : instances.slice(0, 1)) await analyzeTag(tag, el);
+    }
+  }
+
+  report.ok = report.unresolved.length === 0 && report.missingTemplates.length === 0 && report.missingFiles.length === 0;
+  return report;
+}
+
+/**
+ * Plain-text summary of a report, one problem per line.
+ *
+ * @param {CustomElementsAnalyzerReport} report
+ * @returns {string}
+ */
+export function formatAnalyzerReport(report) {
+  /** @param {AnalyzedTagSite} s */
+  const at = (s) => `${s.file}:${s.line} <${s.tag}>`;
+  return [
+    `${report.files.length} file(s): ${report.resolved.length} resolved, ${report.unresolved.length} unresolved, ${report.skipped.length} skipped`,
+    ...report.unresolved.map((s) => `unresolved       ${at(s)}: ${s.error}`),
+    ...report.missingTemplates.map((s) => `missing template ${at(s)}: ${s.problem} ${s.template}${s.source ? ` in ${s.source}` : ""}`),
+    ...report.missingFiles.map((s) => `missing ${s.kind.padEnd(8)} ${at(s)}: ${s.url} (${s.path})`),
+    ...report.skipped.map((s) => `skipped          ${at(s)}`),
+  ].join("\n");
+}
+
+/** @param {string[]} argv */
+async function main(argv) {
+  /** @type {CustomElementsAnalyzerOptions} */
+  let options = {};
+  /** @type {string[]} */
+  const files = [];
+  let json = false;
+  let failOnSkipped = false;
+  let root;
+
+  for (let k = 0; k < argv.length; k++) {
+    const arg = argv[k];
+    if (arg === "--config") options = (await import(pathToFileURL(path.resolve(argv[++k])).href)).default ?? {};
+    else if (arg === "--root") root = argv[++k];
+    else if (arg === "--json") json = true;
+    else if (arg === "--fail-on-skipped") failOnSkipped = true;
+    else files.push(arg);
+  }
+  if (files.length === 0) {
+    console.error("Usage: node custom-elements-analyzer.js [--config file.js] [--root dir] [--json] [--fail-on-skipped] page.html...");
+    return 2;
+  }
+
+  const report = await analyzeHtmlFiles(files, { ...options, root: root ?? options.root });
+  console.log(json ? JSON.stringify(report, null, 2) : formatAnalyzerReport(report));
+  return report.ok && !(failOnSkipped && report.skipped.length > 0) ? 0 : 1;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+  main(process.argv.slice(2)).then(
+    (code) => (process.exitCode = code),
+    (err) => {
+      console.error(err);
+      process.exitCode = 2;
+    },
+  );
+}
@@ -7,15 +7,23 @@
  * - No naming convention required
  *
  * You pick one resolver (or compose several) and the loader will:
- * - watch the DOM for unknown custom elements (tag names containing a dash)
+ * - watch the DOM (including open shadow roots) for unknown custom elements (tag names containing a dash)
  * - ask the resolver what to do
  * - either skip (false) or return instructions:
  *     { importFromUrl: "./path/to/module.js" }
  *   or
  *     { importFromTmpl: "template-id" }
+ *   or
+ *     { importFromHtml: "./cards.html#tmpl-card" }   (a template in another HTML file; no #id: the one rooted at the tag)
+ *   or
+ *     { load: () => import("./x-card.js") }          (a loader function your bundler can see and split)
  *
  * URL imports: module should self-register (recommended), or you can ask the loader to define from exports.
  * Template imports: the loader will generate and register a custom element class at runtime from the template.
+ * HTML imports: the file is fetched once, and its templates go through the same template path.
+ *
+ * Either kind may also name what has to be in place before the element is defined:
+ *     { importFromUrl: "./x-table.js", dependsOn: ["x-row"], styles: ["./x-table.css"], preload: ["./grid.js"] }
  */
 
 /**
@@ -26,16 +34,118 @@
  * @typedef {{
  *   importFromUrl?: string | URL;
  *   importFromTmpl?: string;
+ *   importFromHtml?: string | URL;
+ *   load?: () => Promise<Record<string, any> | CustomElementConstructor>;
  *   defineAs?: string;
  *   exportName?: "default" | string | ((mod: Record<string, any>) => unknown);
  *   waitForDefinition?: boolean;
+ *   loadOn?: OnDemandCustomElementLoadStrategy;
+ *   rootMargin?: string;
+ *   idleTimeout?: number;
+ *   media?: string;
+ *   retry?: OnDemandCustomElementRetryOptions;
+ *   version?: string;
+ *   integrity?: string;
+ *   preload?: (string | URL)[];
+ *   dependsOn?: string[];
+ *   styles?: (string | URL)[];
+ *   shadow?: "open" | "closed";
  * }} OnDemandCustomElementResolution
  */
 
 /**
- * @typedef {(tagName: string, el: Element) =>
+ * When to load a resolved tag:
+ * - "immediate" (default): as soon as the tag is seen
+ * - "visible": when any instance comes within `rootMargin` of the viewport (IntersectionObserver)
+ * - "idle": when the browser is idle (requestIdleCallback, bounded by `idleTimeout` if given)
+ * - "interaction": on the first pointer, focus or keyboard event on any instance
+ * - "media": once the `media` query matches
+ *
+ * @typedef {"immediate" | "visible" | "idle" | "interaction" | "media"} OnDemandCustomElementLoadStrategy
+ */
+
+/**
+ * Retry settings for URL imports. Set on the loader, overridable per resolution.
+ * - attempts: total tries including the first (default 3)
+ * - backoffMs: wait before the second try, doubled for each later one (default 250)
+ * - maxBackoffMs: upper bound for that wait (default 4000)
+ * - timeoutMs: give up on a single try after this long (default: no timeout)
+ *
+ * @typedef {{
+ *   attempts?: number;
+ *   backoffMs?: number;
+ *   maxBackoffMs?: number;
+ *   timeoutMs?: number;
+ * }} OnDemandCustomElementRetryOptions
+ */
+
+/**
+ * @typedef {{
+ *   attempt: number;
+ *   startedAt: number;
+ *   durationMs: number;
+ *   error: unknown;
+ * }} OnDemandCustomElementAttempt
+ */
+
+/**
+ * What `state.failed` records per tag: the final error, every attempt made, and the resolution
+ * (absent when the resolver itself threw) so the tag can be retried.
+ *
+ * @typedef {{
+ *   error: unknown;
+ *   attempts: OnDemandCustomElementAttempt[];
+ *   resolution?: OnDemandCustomElementResolution;
+ * }} OnDemandCustomElementFailure
+ */
+
+/**
+ * One manifest entry: a module URL (string shorthand or `url`) or a template id (`template`),
+ * plus any other resolution fields. Relative URLs resolve against the manifest’s URL (or `baseUrl`).
+ *
+ * @typedef {string | (Omit<OnDemandCustomElementResolution, "importFromUrl" | "importFromTmpl" | "preload" | "styles"> & {
+ *   url?: string;
+ *   template?: string;
+ *   preload?: string[];
+ *   styles?: string[];
+ * })} OnDemandCustomElementManifestEntry
+ */
+
+/**
+ * Component manifest, as produced by a deploy pipeline:
+ *   { "baseUrl": "/assets/", "components": { "x-card": { "url": "x-card.4f2a.js", "version": "1.4.0",
+ *     "integrity": "sha384-…", "preload": ["shared.9c1e.js"] } } }
+ *
+ * @typedef {{
+ *   baseUrl?: string;
+ *   components: Record<string, OnDemandCustomElementManifestEntry>;
+ * }} OnDemandCustomElementManifest
+ */
+
+/**
+ * Options for `patternResolver`. Placeholders in `url`/`template` patterns:
+ * - {tag}: the full tag name ("x-date-picker")
+ * - {prefix}: text before the first dash ("x")
+ * - {rest}: text after the first dash ("date-picker")
+ * Rule patterns may also use regex captures: $1, $2… and $<name>.
+ *
+ * @typedef {{
+ *   url?: string | string[];
+ *   template?: string;
+ *   rules?: { match: RegExp; url?: string; template?: string }[];
+ *   probe?: boolean | ((href: string) => boolean | Promise<boolean>);
+ *   resolution?: Omit<OnDemandCustomElementResolution, "importFromUrl" | "importFromTmpl">;
+ * }} PatternResolverOptions
+ */
+
+/**
+ * A resolver may list the element attributes its decision depends on (`observedAttributes`).
+ * The loader then watches those attributes and remembers `false` per element instead of per tag.
+ * It may also list the tags it knows (`tags`), which prefetching uses by default.
+ *
+ * @typedef {((tagName: string, el: Element) =>
  *   (false | OnDemandCustomElementResolution | Promise<false | OnDemandCustomElementResolution>)
- * } OnDemandCustomElementResolver
+ * ) & { observedAttributes?: readonly string[]; tags?: readonly string[] }} OnDemandCustomElementResolver
  */
 
 /**
@@ -44,26 +154,167 @@
  *   log?: (level: "debug" | "warn" | "error", message: string, meta?: any) => void;
  *   observeMutations?: boolean;
  *   observeRoot?: Node;
+ *   observeShadowRoots?: boolean;
  *   deepScan?: boolean;
+ *   retry?: OnDemandCustomElementRetryOptions;
+ *   stateAttribute?: boolean | string;
+ *   fallbackContent?: boolean;
+ *   fallbackDelayMs?: number;
+ *   concurrency?: number;
+ *   observeAttributes?: boolean | readonly string[];
+ *   policy?: OnDemandCustomElementPolicy;
+ *   prefetch?: OnDemandCustomElementPrefetchOptions;
  * }} OnDemandCustomElementsLoaderOptions
  */
 
 /**
+ * Warm modules before their tags show up (see `loader.prefetch`), once the loader has started:
+ * - on: "idle" prefetches every tag when the browser is idle; "hover" prefetches when the pointer
+ *   or focus reaches an element that names tags in `data-ce-prefetch="x-dialog x-chart"`, or an
+ *   instance that is not loaded yet (such as one deferred until interaction)
+ * - tags: which tags; default the resolver's own list (`resolver.tags`, as allowMapResolver has)
+ *
+ * @typedef {{
+ *   on: "idle" | "hover";
+ *   tags?: readonly string[];
+ * }} OnDemandCustomElementPrefetchOptions
+ */
+
+/**
+ * What the loader may load, whatever the resolver says:
+ * - allow: where modules, HTML template files, stylesheets, preloads and template behavior scripts
+ *   may come from. Strings are origins or path prefixes, resolved like importFromUrl
+ *   ("https://cdn.example.com", "./elements/"); RegExps are tested against the absolute URL.
+ *   Without it, any URL is allowed. load() factories are your own code and are not checked.
+ * - requireIntegrity: URL modules must carry an integrity hash (as manifest entries can) that the
+ *   browser verifies; without modulepreload support they are blocked rather than loaded unverified.
+ * - trustedTypes: for pages that enforce Trusted Types. The Trusted Types policy that turns fetched
+ *   HTML template files into TrustedHTML before they are parsed, or the name of one for the loader
+ *   to create. The loader's own policy passes the HTML through unchanged: it does not sanitize, it
+ *   names the loader's only HTML sink for the page's `trusted-types` CSP directive. What it lets
+ *   through is what `allow` let the loader fetch, so use your own policy to sanitize.
+ * Blocked resolutions are logged, dispatched as "blocked" events and treated like a `false` decision.
+ *
+ * @typedef {{
+ *   allow?: (string | URL | RegExp)[];
+ *   requireIntegrity?: boolean;
+ *   trustedTypes?: string | { createHTML(input: string): unknown };
+ * }} OnDemandCustomElementPolicy
+ */
+
+/**
+ * Per-tag state, mirrored onto every instance when `stateAttribute` is enabled
+ * (true means "data-ce-state", a string names the attribute).
+ *
+ * @typedef {"pending" | "deferred" | "loaded" | "failed" | "skipped"} OnDemandCustomElementState
+ */
+
+/**
+ * Loader events, dispatched in this order for a tag:
+ * - "resolve-start": the resolver is about to be asked (detail.element is the instance)
+ * - "resolved": the resolver returned a resolution
+ * - "skipped": the resolver returned false, or the resolution could not be used; when skips are
+ *   per element, once every instance found so far has opted out (detail.element is then unset)
+ * - "import-start": the resolution is being applied (module import or template definition)
+ * - "defined": the tag is loaded
+ * - "failed": the resolver threw, or import/definition failed (detail.error, detail.attempts)
+ * - "blocked": the loader policy refused a resolution or one of its URLs, or a URL could not be
+ *   parsed (detail.reason, detail.url); followed by "skipped"
+ *
+ * @typedef {"resolve-start" | "resolved" | "skipped" | "import-start" | "defined" | "failed" | "blocked"} OnDemandCustomElementEventType
+ */
+
+/**
+ * `startedAt` is Date.now() when the step began; `durationMs` is set on events that end a step.
+ *
  * @typedef {{
+ *   tag: string;
+ *   element?: Element;
+ *   resolution?: OnDemandCustomElementResolution;
+ *   startedAt: number;
+ *   durationMs?: number;
+ *   error?: unknown;
+ *   attempts?: OnDemandCustomElementAttempt[];
+ *   reason?: "not-allowed" | "integrity-missing" | "integrity-unverifiable" | "invalid-url";
+ *   url?: string;
+ * }} OnDemandCustomElementEventDetail
+ */
+
+/**
+ * @typedef {CustomEvent<OnDemandCustomElementEventDetail>} OnDemandCustomElementEvent
+ */
+
+/**
+ * The loader is an EventTarget; listen for OnDemandCustomElementEventType events.
+ *
+ * @typedef {EventTarget & {
  *   start: () => void;
  *   stop: () => void;
  *   scan: (root?: ParentNode) => Promise<void>;
  *   preload: (tagName: string, resolution: OnDemandCustomElementResolution) => Promise<void>;
+ *   prefetch: (tagNames: string | readonly string[]) => Promise<void>;
+ *   retry: (tagName: string) => Promise<void>;
+ *   retryAllFailed: () => Promise<void>;
+ *   clearSkipped: (tagName?: string) => Promise<void>;
+ *   whenLoaded: (tagName: string) => Promise<void>;
+ *   whenIdle: () => Promise<void>;
  *   state: {
  *     pending: ReadonlySet<string>;
  *     loaded: ReadonlySet<string>;
- *     failed: ReadonlyMap<string, unknown>;
+ *     failed: ReadonlyMap<string, OnDemandCustomElementFailure>;
  *     skipped: ReadonlySet<string>;
+ *     deferred: ReadonlySet<string>;
  *   };
  * }} OnDemandCustomElementsLoader
  */
 
-function isPotentialCustomElementTag(tagName) {
+/**
+ * @template {Function} F
+ * @param {F} resolver
+ * @param {readonly string[]} attrs
+ * @returns {F & { observedAttributes: readonly string[] }}
+ */
+function withObservedAttributes(resolver, attrs) {
+  return Object.assign(resolver, { observedAttributes: [...new Set(attrs)] });
+}
+
+/**
+ * @param {OnDemandCustomElementResolver | undefined} resolver
+ * @returns {readonly string[]}
+ */
+function observedAttributesOf(resolver) {
+  return resolver?.observedAttributes ?? [];
+}
+
+/**
+ * @param {OnDemandCustomElementResolver | undefined} resolver
+ * @returns {readonly string[]}
+ */
+function knownTagsOf(resolver) {
+  return resolver?.tags ?? [];
+}
+
+/**
+ * The modules a resolution will import, for modulepreload hints: its importFromUrl (with its
+ * integrity) and its `preload` list. Templates and load() factories have none.
+ *
+ * @param {OnDemandCustomElementResolution} res
+ * @returns {{ url: string | URL; integrity?: string }[]}
+ */
+function modulePreloadHints(res) {
+  const hints = (res.preload ?? []).map((url) => ({ url }));
+  if (res.importFromUrl && !res.load) hints.unshift({ url: res.importFromUrl, integrity: res.integrity });
+  return hints;
+}
+
+/**
+ * Whether a tag name can be a custom element: it has a dash and only the characters the loader
+ * accepts. Exported so tools (custom-elements-analyzer.js) count the same tags the loader does.
+ *
+ * @param {string} tagName
+ * @returns {boolean}
+ */
+export function isPotentialCustomElementTag(tagName) {
   const t = String(tagName).toLowerCase();
   return t.includes("-") && /^[a-z][.0-9_a-z-]*$/.test(t);
 }
@@ -77,263 +328,1914 @@ function normalizeToAbsHref(urlLike) {
   return new URL(String(urlLike), import.meta.url).href;
 }
 
+/** @type {Required<Omit<OnDemandCustomElementRetryOptions, "timeoutMs">>} */
+const DEFAULT_RETRY = { attempts: 3, backoffMs: 250, maxBackoffMs: 4000 };
+
+let retrySeq = 0;
+
 /**
- * Create an on-demand custom elements loader.
+ * Browsers may cache a failed module fetch for the page’s lifetime, so retries of http(s)
+ * modules get a unique query parameter to force a fresh request.
  *
- * @param {OnDemandCustomElementsLoaderOptions} [options]
- * @returns {OnDemandCustomElementsLoader}
+ * @param {string} href
  */
-export function createOnDemandCustomElementsLoader(options = {}) {
-  const log =
-    options.log ??
-    /**
-     * @param {"debug"|"warn"|"error"} _level
-     * @param {string} _message
-     * @param {any} [_meta]
-     */
-    (() => {});
+function withRetryParam(href) {
+  const u = new URL(href);
+  if (u.protocol !== "http:" && u.protocol !== "https:") return href;
+  u.searchParams.set("ce-retry", String(++retrySeq));
+  return u.href;
+}
 
-  /** @type {OnDemandCustomElementResolver} */
-  const resolver =
-    options.resolver ??
-    (async () => false); // safest default: do nothing unless explicitly enabled
+/**
+ * @template T
+ * @param {Promise<T>} promise
+ * @param {number | undefined} ms
+ * @param {string} message
+ * @returns {Promise<T>}
+ */
+function withTimeout(promise, ms, message) {
+  if (!(ms != null && ms > 0)) return promise;
+  /** @type {ReturnType<typeof setTimeout> | undefined} */
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return /** @type {Promise<T>} */ (Promise.race([promise, timeout])).finally(() => clearTimeout(timer));
+}
 
-  const observeMutations = options.observeMutations ?? true;
-  const observeRoot = options.observeRoot ?? document.documentElement;
-  const deepScan = options.deepScan ?? true;
+/**
+ * @param {number} ms
+ */
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
 
-  /** @type {Set<string>} */
-  const pending = new Set();
-  /** @type {Set<string>} */
-  const loaded = new Set();
-  /** @type {Map<string, unknown>} */
-  const failed = new Map();
-  /** @type {Set<string>} */
-  const skipped = new Set();
+/** @type {OnDemandCustomElementEventType[]} */
+const SETTLED_EVENTS = ["defined", "failed", "skipped"];
 
-  /** @type {MutationObserver | null} */
-  let observer = null;
+/** @type {Map<string, Promise<void>>} */
+const modulePreloads = new Map();
 
-  /**
-   * Generate and register a custom element from a <template>.
-   *
-   * Rule:
-   * - The template’s firstElementChild is treated as the “component root”.
-   * - That root tag name becomes the custom element name unless `defineAs` is provided.
-   * - Instances of the custom element will render by cloning the root’s children into the host.
-   *
-   * Minimal behavior by design: content + light-DOM rendering.
-   *
-   * @param {string} encounteredTag
-   * @param {OnDemandCustomElementResolution} res
-   */
-  function defineFromTemplate(encounteredTag, res) {
-    const tmplId = String(res.importFromTmpl || "");
-    const tmpl = document.getElementById(tmplId);
+function supportsModulePreload() {
+  try {
+    return document.createElement("link").relList.supports("modulepreload");
+  } catch {
+    return false;
+  }
+}
 
-    if (!(tmpl instanceof HTMLTemplateElement)) {
-      log("warn", "Template resolution requested but template not found", { encounteredTag, importFromTmpl: tmplId });
-      skipped.add(encounteredTag);
-      return;
-    }
+/**
+ * Insert a `<link rel="modulepreload">` (once per href). With `integrity`, the browser verifies the
+ * fetched bytes and a later import() of the same href reuses that verified module.
+ * Resolves when the link loads, rejects when it fails (network error or integrity mismatch).
+ *
+ * @param {string} href
+ * @param {string} [integrity]
+ * @returns {Promise<void>}
+ */
+function modulePreload(href, integrity) {
+  const existing = modulePreloads.get(href);
+  if (existing) return existing;
 
-    const frag = tmpl.content;
-    const root = frag.firstElementChild;
+  /** @type {Promise<void>} */
+  const preloaded = new Promise((resolve, reject) => {
+    const link = document.createElement("link");
+    link.rel = "modulepreload";
+    link.href = href;
+    if (integrity) link.integrity = integrity;
+    link.addEventListener("load", () => resolve(), { once: true });
+    link.addEventListener(
+      "error",
+      () => {
+        modulePreloads.delete(href);
+        link.remove();
+        reject(new Error(`Module preload failed (network error or integrity mismatch): ${href}`));
+      },
+      { once: true },
+    );
+    document.head.append(link);
+  });
+  modulePreloads.set(href, preloaded);
+  return preloaded;
+}
 
-    if (!(root instanceof Element)) {
-      log("warn", "Template is empty or has no element root", { encounteredTag, importFromTmpl: tmplId });
-      skipped.add(encounteredTag);
-      return;
-    }
+/** @type {Map<string, Promise<void>>} */
+const documentStylesheets = new Map();
 
-    const inferredTag = root.tagName.toLowerCase();
-    const defineAs = (res.defineAs ?? inferredTag).toLowerCase();
+/**
+ * Insert a `<link rel="stylesheet">` into the document (once per href, and not at all if the page
+ * already links it). Resolves when the stylesheet has loaded, rejects when it fails.
+ *
+ * @param {string} href
+ * @returns {Promise<void>}
+ */
+function documentStylesheet(href) {
+  const existing = documentStylesheets.get(href);
+  if (existing) return existing;
 
-    if (!isPotentialCustomElementTag(defineAs)) {
-      log("warn", "Refusing to define from template: invalid custom element tag", {
-        encounteredTag,
-        importFromTmpl: tmplId,
-        inferredTag,
-        defineAs,
-      });
-      skipped.add(encounteredTag);
-      return;
+  /** @type {Promise<void>} */
+  const loadedSheet = new Promise((resolve, reject) => {
+    for (const link of document.querySelectorAll("link[rel~='stylesheet']")) {
+      if (/** @type {HTMLLinkElement} */ (link).href === href) return resolve();
     }
+    const link = document.createElement("link");
+    link.rel = "stylesheet";
+    link.href = href;
+    link.addEventListener("load", () => resolve(), { once: true });
+    link.addEventListener(
+      "error",
+      () => {
+        documentStylesheets.delete(href);
+        link.remove();
+        reject(new Error(`Stylesheet failed to load: ${href}`));
+      },
+      { once: true },
+    );
+    document.head.append(link);
+  });
+  documentStylesheets.set(href, loadedSheet);
+  return loadedSheet;
+}
 
-    // If already defined, do nothing.
-    if (customElements.get(defineAs)) {
-      loaded.add(encounteredTag);
-      return;
-    }
+/** @type {Map<string, Promise<CSSStyleSheet>>} */
+const constructedStylesheets = new Map();
 
-    // Capture the root innerHTML once, so later changes to template don't surprise you.
-    const capturedInnerHTML = root.innerHTML;
+/**
+ * Fetch a stylesheet into a constructable CSSStyleSheet (once per href), for shadow roots to adopt.
+ *
+ * @param {string} href
+ * @returns {Promise<CSSStyleSheet>}
+ */
+function constructedStylesheet(href) {
+  const existing = constructedStylesheets.get(href);
+  if (existing) return existing;
 
-    // Generate minimal custom element code at runtime.
-    class TemplateBackedElement extends HTMLElement {
-      connectedCallback() {
-        // Avoid rerendering if the element already has content (lets authors override).
-        if (this.hasAttribute("data-ce-rendered")) return;
-        this.setAttribute("data-ce-rendered", "1");
-        this.innerHTML = capturedInnerHTML;
-      }
-    }
+  const sheet = fetch(href)
+    .then((resp) => {
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+      return resp.text();
+    })
+    .then((css) => new CSSStyleSheet(/** @type {any} */ ({ baseURL: href })).replace(css));
+  sheet.catch(() => constructedStylesheets.delete(href));
+  constructedStylesheets.set(href, sheet);
+  return sheet;
+}
 
-    customElements.define(defineAs, TemplateBackedElement);
-    loaded.add(encounteredTag);
-  }
+/**
+ * Fetch and parse an HTML file of templates (once per href in `documents`). URLs inside its
+ * templates are made absolute against the file. The file's own `<style>`, stylesheet links and
+ * module scripts (outside templates) are applied to the page once, before any of its templates is
+ * used; one that fails is reported through `onError` and does not stop the others, and one that
+ * `isAllowed` rejects is left out. Inline module scripts are imported from a blob: URL, so they
+ * are checked as "blob:".
+ *
+ * Each loader passes its own `documents`: what a file applied was decided by that loader's policy,
+ * so another loader must not reuse it.
+ *
+ * @param {string} href without #fragment
+ * @param {Map<string, Promise<Document>>} documents
+ * @param {{
+ *   onError: (message: string, meta: Record<string, unknown>) => void;
+ *   isAllowed: (url: string) => boolean;
+ *   createHTML: (html: string) => any;
+ * }} hooks
+ * @returns {Promise<Document>}
+ */
+function htmlTemplateDocument(href, documents, { onError, isAllowed, createHTML }) {
+  const existing = documents.get(href);
+  if (existing) return existing;
 
-  /**
-   * Import module and optionally define from exports.
-   *
-   * @param {string} encounteredTag
-   * @param {OnDemandCustomElementResolution} res
-   */
-  async function importFromUrl(encounteredTag, res) {
-    const defineAs = (res.defineAs ?? encounteredTag).toLowerCase();
+  const loading = (async () => {
+    const resp = await fetch(href);
+    if (!resp.ok) throw new Error(`Failed to fetch HTML templates ${href}: HTTP ${resp.status}`);
+    const doc = new DOMParser().parseFromString(createHTML(await resp.text()), "text/html");
+    for (const tmpl of doc.querySelectorAll("template")) absolutizeUrls(tmpl.content, href);
 
-    if (!isPotentialCustomElementTag(defineAs)) {
-      log("warn", "Refusing to load: not a valid custom element tag name", { encounteredTag, defineAs });
-      skipped.add(encounteredTag);
-      return;
+    for (const el of doc.querySelectorAll("style, link[rel~='stylesheet'], script[type='module']")) {
+      try {
+        const url = el.getAttribute(el.localName === "link" ? "href" : "src");
+        if (url != null && !isAllowed(new URL(url, href).href)) continue;
+        if (url == null && el.localName === "script" && !isAllowed("blob:")) continue;
+        if (el.localName === "style") {
+          const style = document.createElement("style");
+          style.textContent = el.textContent;
+          style.dataset.ceSource = href;
+          document.head.append(style);
+        } else if (el.localName === "link") {
+          await documentStylesheet(new URL(el.getAttribute("href") ?? "", href).href);
+        } else {
+          const src = el.getAttribute("src");
+          if (src) el.setAttribute("src", new URL(src, href).href);
+          await importTemplateBehavior(/** @type {HTMLScriptElement} */ (el));
+        }
+      } catch (error) {
+        onError("Failed to apply resource from HTML templates file", { href, resource: el.outerHTML, error });
+      }
     }
+    return doc;
+  })();
+  // Don't cache a failed fetch: a retry fetches again.
+  loading.catch(() => documents.delete(href));
+  documents.set(href, loading);
+  return loading;
+}
 
-    if (customElements.get(defineAs)) {
-      loaded.add(encounteredTag);
-      return;
+/**
+ * Rewrite relative src/href attributes against `base`. In-page anchors and {{attr}} bindings stay.
+ *
+ * @param {ParentNode} root
+ * @param {string} base
+ */
+function absolutizeUrls(root, base) {
+  for (const el of root.querySelectorAll("[src], [href]")) {
+    for (const name of ["src", "href"]) {
+      const value = el.getAttribute(name);
+      if (value == null || value.startsWith("#") || hasPlaceholder(value)) continue;
+      try {
+        el.setAttribute(name, new URL(value, base).href);
+      } catch {
+        // Unparsable: left as written, so one bad reference doesn't cost the file its other templates.
+      }
     }
+  }
+}
 
-    const href = normalizeToAbsHref(res.importFromUrl);
+/* -------------------------------------------------------------------------------------------------
+ * Template-backed element rendering: {{attr}} placeholders and slot projection.
+ * ------------------------------------------------------------------------------------------------- */
 
-    log("debug", "Importing custom element module", { encounteredTag, defineAs, href });
+/**
+ * A text node or attribute whose value is computed from `source` with {{attr}} placeholders.
+ *
+ * @typedef {{ node: Text | Attr; source: string }} TemplateBinding
+ */
 
-    /** @type {Record<string, any>} */
-    const mod = /** @type {any} */ (await import(href));
+const PLACEHOLDER_RE = /\{\{\s*([A-Za-z_:][-.:\w]*)\s*\}\}/g;
 
-    if (customElements.get(defineAs)) {
-      loaded.add(encounteredTag);
-      if (res.waitForDefinition) await customElements.whenDefined(defineAs);
-      return;
-    }
+/**
+ * @param {string} text
+ */
+function hasPlaceholder(text) {
+  PLACEHOLDER_RE.lastIndex = 0;
+  return PLACEHOLDER_RE.test(text);
+}
 
-    // If exportName not provided, we assume the module self-registers.
-    if (res.exportName == null) {
-      log("warn", "Module imported but element not defined (self-registering expected)", {
-        encounteredTag,
-        defineAs,
-        exportKeys: Object.keys(mod),
-      });
-      loaded.add(encounteredTag);
-      return;
-    }
+/**
+ * @param {string} source
+ * @param {Element} host
+ */
+function interpolate(source, host) {
+  return source.replace(PLACEHOLDER_RE, (_, name) => host.getAttribute(name) ?? "");
+}
 
-    /** @type {unknown} */
-    let candidate;
-    if (typeof res.exportName === "function") {
-      candidate = res.exportName(mod);
-    } else if (res.exportName === "default") {
-      candidate = mod.default;
+/**
+ * Visit every text node and attribute under `root`.
+ *
+ * @param {Node} root
+ * @param {(node: Text | Attr) => void} visit
+ */
+function forEachTextOrAttr(root, visit) {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    if (node instanceof Element) {
+      for (const attr of node.attributes) visit(attr);
     } else {
-      candidate = mod[res.exportName];
+      visit(/** @type {Text} */ (node));
+    }
+  }
+}
+
+/**
+ * Attribute names referenced by {{attr}} placeholders (become observedAttributes).
+ *
+ * @param {Node} content
+ * @returns {string[]}
+ */
+function observedPlaceholders(content) {
+  /** @type {Set<string>} */
+  const names = new Set();
+  forEachTextOrAttr(content, (node) => {
+    for (const m of String(node.nodeValue).matchAll(PLACEHOLDER_RE)) names.add(m[1].toLowerCase());
+  });
+  return [...names];
+}
+
+/**
+ * @param {Element} host
+ * @param {TemplateBinding[]} bindings
+ */
+function updateBindings(host, bindings) {
+  for (const b of bindings) {
+    const value = interpolate(b.source, host);
+    if (b.node.nodeValue !== value) b.node.nodeValue = value;
+  }
+}
+
+/**
+ * Group the host’s current children by slot name ("" is the default slot).
+ * The loader’s own fallback templates (slot="ce-…") are left out.
+ *
+ * @param {Element} host
+ * @returns {Map<string, ChildNode[]>}
+ */
+function assignSlots(host) {
+  /** @type {Map<string, ChildNode[]>} */
+  const assigned = new Map();
+  for (const node of host.childNodes) {
+    const name = node instanceof Element ? (node.getAttribute("slot") ?? "") : "";
+    if (node instanceof HTMLTemplateElement && name.startsWith("ce-")) continue;
+    const list = assigned.get(name) ?? [];
+    list.push(node);
+    assigned.set(name, list);
+  }
+  return assigned;
+}
+
+/**
+ * Move assigned nodes into placeholders:
+ * - `<slot name="x">` is replaced by the nodes assigned to "x" (or by its own children as fallback)
+ * - `[data-slot="x"]` keeps its element and has its children replaced (or kept as fallback)
+ * Unnamed slots and `data-slot=""` take the children without a slot attribute.
+ *
+ * @param {ParentNode} frag
+ * @param {Map<string, ChildNode[]>} assigned
+ */
+function projectSlots(frag, assigned) {
+  for (const placeholder of frag.querySelectorAll("slot, [data-slot]")) {
+    const isSlot = placeholder.localName === "slot";
+    const name = (isSlot ? placeholder.getAttribute("name") : placeholder.getAttribute("data-slot")) ?? "";
+    const nodes = assigned.get(name);
+    assigned.delete(name);
+
+    if (isSlot) placeholder.replaceWith(...(nodes ?? placeholder.childNodes));
+    else if (nodes) placeholder.replaceChildren(...nodes);
+  }
+}
+
+/**
+ * Behavior for a template-backed element, the default export of the template’s module script.
+ * Hooks and methods run with `this` as the element (`this.renderRoot` is where content rendered).
+ * `events` keys are "type selector" (selector optional), delegated from the render root; values are a
+ * method name or a function called with (event, matchedElement). Every other function becomes a
+ * public method on the element.
+ *
+ *   export default {
+ *     observedAttributes: ["count"],
+ *     events: { "click button.inc": "increment" },
+ *     connected() {},
+ *     increment() { this.setAttribute("count", String(Number(this.getAttribute("count") ?? 0) + 1)); },
+ *   };
+ *
+ * @typedef {{
+ *   observedAttributes?: string[];
+ *   events?: Record<string, string | ((this: HTMLElement, event: Event, matched: Element) => void)>;
+ *   connected?: (this: HTMLElement) => void;
+ *   disconnected?: (this: HTMLElement) => void;
+ *   attributeChanged?: (this: HTMLElement, name: string, oldValue: string | null, newValue: string | null) => void;
+ *   [method: string]: unknown;
+ * }} TemplateBehavior
+ */
+
+/**
+ * @typedef {(Base: CustomElementConstructor) => CustomElementConstructor} TemplateBehaviorMixin
+ */
+
+const TEMPLATE_BEHAVIOR_HOOKS = new Set(["observedAttributes", "events", "connected", "disconnected", "attributeChanged"]);
+
+/**
+ * Import a template’s behavior module. `src` resolves against the page; inline code is imported
+ * through a blob: URL, so its own imports must be absolute URLs (and CSP must allow blob: scripts).
+ *
+ * @param {Element} script
+ * @returns {Promise<TemplateBehavior | TemplateBehaviorMixin | undefined>}
+ */
+async function importTemplateBehavior(script) {
+  const src = script.getAttribute("src");
+  if (src) return (await import(new URL(src, document.baseURI).href)).default;
+
+  const blobUrl = URL.createObjectURL(new Blob([script.textContent ?? ""], { type: "text/javascript" }));
+  try {
+    return (await import(blobUrl)).default;
+  } finally {
+    URL.revokeObjectURL(blobUrl);
+  }
+}
+
+/**
+ * Listen on `root` for each "type selector" entry and call the handler for events whose target is
+ * (inside) an element matching the selector within `root`.
+ *
+ * @param {HTMLElement} host
+ * @param {Node} root
+ * @param {NonNullable<TemplateBehavior["events"]>} events
+ * @param {AbortSignal} signal
+ */
+function delegateEvents(host, root, events, signal) {
+  for (const [key, handler] of Object.entries(events)) {
+    const [type, ...rest] = key.trim().split(/\s+/);
+    const selector = rest.join(" ");
+    const fn = typeof handler === "string" ? /** @type {any} */ (host)[handler] : handler;
+    if (typeof fn !== "function") throw new TypeError(`Template behavior event "${key}" has no handler`);
+
+    root.addEventListener(
+      type,
+      (event) => {
+        if (!selector) return fn.call(host, event, host);
+        const matched = event.target instanceof Element ? event.target.closest(selector) : null;
+        if (matched && root.contains(matched)) fn.call(host, event, matched);
+      },
+      { signal },
+    );
+  }
+}
+
+/**
+ * Compose the generated template element class with a behavior object or mixin.
+ *
+ * @param {CustomElementConstructor & { observedAttributes: string[] }} Base
+ * @param {TemplateBehavior | TemplateBehaviorMixin} behavior
+ * @returns {CustomElementConstructor}
+ */
+function withTemplateBehavior(Base, behavior) {
+  if (typeof behavior === "function") {
+    const Mixed = behavior(Base);
+    if (!isHTMLElementConstructor(Mixed) || !(Mixed.prototype instanceof Base || Mixed === Base)) {
+      throw new TypeError("Template behavior mixin must return a class extending the class it was given");
+    }
+    return Mixed;
+  }
+  if (typeof behavior !== "object") {
+    throw new TypeError("Template behavior must be an object or a mixin function");
+  }
+
+  const extraObserved = (behavior.observedAttributes ?? []).map((name) => name.toLowerCase());
+
+  class BehaviorElement extends Base {
+    static get observedAttributes() {
+      return [...new Set([...super.observedAttributes, ...extraObserved])];
+    }
+
+    /** @type {AbortController | null} */
+    #listeners = null;
+    #rendered = false;
+
+    connectedCallback() {
+      super.connectedCallback?.();
+      this.#rendered = true;
+      if (behavior.events) {
+        this.#listeners?.abort();
+        this.#listeners = new AbortController();
+        delegateEvents(this, /** @type {any} */ (this).renderRoot, behavior.events, this.#listeners.signal);
+      }
+      behavior.connected?.call(this);
+    }
+
+    disconnectedCallback() {
+      super.disconnectedCallback?.();
+      this.#listeners?.abort();
+      this.#listeners = null;
+      behavior.disconnected?.call(this);
+    }
+
+    /**
+     * @param {string} name
+     * @param {string | null} oldValue
+     * @param {string | null} newValue
+     */
+    attributeChangedCallback(name, oldValue, newValue) {
+      super.attributeChangedCallback?.(name, oldValue, newValue);
+      // Initial attributes are reported during upgrade, before anything rendered.
+      if (this.#rendered) behavior.attributeChanged?.call(this, name, oldValue, newValue);
+    }
+  }
+
+  for (const [key, value] of Object.entries(behavior)) {
+    if (TEMPLATE_BEHAVIOR_HOOKS.has(key) || typeof value !== "function") continue;
+    Object.defineProperty(BehaviorElement.prototype, key, { value, writable: true, configurable: true });
+  }
+
+  return BehaviorElement;
+}
+
+/**
+ * Shadow mode: turn `[data-slot="x"]` placeholders into native `<slot name="x">` (keeping their
+ * content as the slot’s fallback). `<slot>` elements already work natively.
+ *
+ * @param {ParentNode} frag
+ */
+function toNativeSlots(frag) {
+  for (const placeholder of frag.querySelectorAll("[data-slot]")) {
+    if (placeholder.localName === "slot") continue;
+    const slot = document.createElement("slot");
+    const name = placeholder.getAttribute("data-slot");
+    if (name) slot.name = name;
+    slot.append(...placeholder.childNodes);
+    placeholder.replaceChildren(slot);
+  }
+}
+
+/**
+ * Render captured template content into a host: clone, fill placeholders, then either project the
+ * host’s children and replace them (light DOM) or fill the given shadow root (native slots).
+ * Returns the bindings to refresh on attribute changes.
+ *
+ * @param {Element} host
+ * @param {DocumentFragment} content
+ * @param {ShadowRoot | null} [shadow]
+ * @returns {TemplateBinding[]}
+ */
+function renderTemplateInto(host, content, shadow = null) {
+  const frag = /** @type {DocumentFragment} */ (document.importNode(content, true));
+
+  /** @type {TemplateBinding[]} */
+  const bindings = [];
+  forEachTextOrAttr(frag, (node) => {
+    if (hasPlaceholder(String(node.nodeValue))) bindings.push({ node, source: String(node.nodeValue) });
+  });
+  updateBindings(host, bindings);
+
+  if (shadow) {
+    toNativeSlots(frag);
+    shadow.replaceChildren(frag);
+  } else {
+    projectSlots(frag, assignSlots(host));
+    host.replaceChildren(frag);
+  }
+  return bindings;
+}
+
+function supportsAdoptedStyleSheets() {
+  return (
+    typeof CSSStyleSheet === "function" &&
+    typeof ShadowRoot === "function" &&
+    "adoptedStyleSheets" in ShadowRoot.prototype &&
+    "replaceSync" in CSSStyleSheet.prototype
+  );
+}
+
+/**
+ * Move `<style>` and `<link rel=stylesheet>` out of template content into constructable
+ * stylesheets, created once and adopted by every instance’s shadow root. Linked sheets start
+ * empty and fill in once fetched. Returns null (content untouched, so each instance gets its own
+ * copies) when the browser lacks constructable stylesheets.
+ *
+ * @param {DocumentFragment} content
+ * @param {(href: string, error: unknown) => void} onError
+ * @returns {CSSStyleSheet[] | null}
+ */
+function adoptableStyleSheets(content, onError) {
+  if (!supportsAdoptedStyleSheets()) return null;
+
+  /** @type {CSSStyleSheet[]} */
+  const sheets = [];
+  for (const el of content.querySelectorAll("style, link[rel~='stylesheet']")) {
+    if (el instanceof HTMLLinkElement) {
+      // Resolve against the page: template content lives in an inert document with its own base.
+      const href = new URL(el.getAttribute("href") ?? "", document.baseURI).href;
+      const sheet = new CSSStyleSheet(/** @type {any} */ ({ baseURL: href }));
+      fetch(href)
+        .then((resp) => {
+          if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+          return resp.text();
+        })
+        .then((css) => sheet.replace(css))
+        .catch((err) => onError(href, err));
+      sheets.push(sheet);
+    } else {
+      const sheet = new CSSStyleSheet();
+      sheet.replaceSync(el.textContent ?? "");
+      sheets.push(sheet);
+    }
+    el.remove();
+  }
+  return sheets;
+}
+
+/**
+ * Declarative fallback content: a direct child `<template slot="ce-loading">` or `<template slot="ce-error">`.
+ *
+ * @param {Element} el
+ * @param {"loading" | "error"} kind
+ * @returns {HTMLTemplateElement | null}
+ */
+function fallbackTemplateOf(el, kind) {
+  for (const child of el.children) {
+    if (child instanceof HTMLTemplateElement && child.getAttribute("slot") === `ce-${kind}`) return child;
+  }
+  return null;
+}
+
+const INTERACTION_EVENTS = ["pointerover", "pointerdown", "focusin", "keydown"];
+
+/**
+ * Build the trigger for a deferred load strategy.
+ * Returns null when the strategy is "immediate" (or unset), or when the browser lacks the API it needs.
+ *
+ * @param {OnDemandCustomElementResolution} res
+ * @param {() => void} fire called when the strategy is satisfied (possibly more than once)
+ * @returns {{ watch: (el: Element) => void; cancel: () => void } | null}
+ */
+function createLoadTrigger(res, fire) {
+  switch (res.loadOn) {
+    case "visible": {
+      if (typeof IntersectionObserver !== "function") return null;
+      const io = new IntersectionObserver(
+        (entries) => {
+          if (entries.some((e) => e.isIntersecting)) fire();
+        },
+        { rootMargin: res.rootMargin ?? "200px" },
+      );
+      return { watch: (el) => io.observe(el), cancel: () => io.disconnect() };
+    }
+
+    case "idle": {
+      if (typeof requestIdleCallback === "function") {
+        const handle = requestIdleCallback(fire, res.idleTimeout == null ? undefined : { timeout: res.idleTimeout });
+        return { watch: () => {}, cancel: () => cancelIdleCallback(handle) };
+      }
+      const handle = setTimeout(fire, res.idleTimeout ?? 200);
+      return { watch: () => {}, cancel: () => clearTimeout(handle) };
+    }
+
+    case "interaction": {
+      /** @type {Set<Element>} */
+      const watched = new Set();
+      const onEvent = () => fire();
+      return {
+        watch(el) {
+          if (watched.has(el)) return;
+          watched.add(el);
+          for (const type of INTERACTION_EVENTS) el.addEventListener(type, onEvent, { passive: true });
+        },
+        cancel() {
+          for (const el of watched) {
+            for (const type of INTERACTION_EVENTS) el.removeEventListener(type, onEvent);
+          }
+          watched.clear();
+        },
+      };
+    }
+
+    case "media": {
+      if (!res.media || typeof matchMedia !== "function") return null;
+      const mql = matchMedia(res.media);
+      const onChange = () => {
+        if (mql.matches) fire();
+      };
+      mql.addEventListener("change", onChange);
+      // Already matching: fire on a microtask so the caller has registered the trigger first.
+      queueMicrotask(onChange);
+      return { watch: () => {}, cancel: () => mql.removeEventListener("change", onChange) };
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Create an on-demand custom elements loader.
+ *
+ * @param {OnDemandCustomElementsLoaderOptions} [options]
+ * @returns {OnDemandCustomElementsLoader}
+ */
+export function createOnDemandCustomElementsLoader(options = {}) {
+  const log =
+    options.log ??
+    /**
+     * @param {"debug"|"warn"|"error"} _level
+     * @param {string} _message
+     * @param {any} [_meta]
+     */
+    (() => {});
+
+  /** @type {OnDemandCustomElementResolver} */
+  const resolver =
+    options.resolver ??
+    (async () => false); // safest default: do nothing unless explicitly enabled
+
+  const observeMutations = options.observeMutations ?? true;
+  const observeRoot = options.observeRoot ?? document.documentElement;
+  const deepScan = options.deepScan ?? true;
+  const observeShadowRoots = options.observeShadowRoots ?? true;
+  const retryDefaults = { ...DEFAULT_RETRY, ...options.retry };
+  const stateAttribute = options.stateAttribute === true ? "data-ce-state" : options.stateAttribute || null;
+  const fallbackContent = options.fallbackContent ?? true;
+  const fallbackDelayMs = options.fallbackDelayMs ?? 300;
+  const concurrency = Math.max(1, options.concurrency ?? 6);
+  // Attributes that can change a resolver's mind. With any, skips are remembered per element.
+  const resolverAttributes =
+    options.observeAttributes === false
+      ? []
+      : Array.isArray(options.observeAttributes)
+        ? options.observeAttributes
+        : observedAttributesOf(resolver);
+  const skipPerElement = resolverAttributes.length > 0;
+  const policy = options.policy ?? {};
+  const prefetchOptions = options.prefetch ?? null;
+  const allowList = policy.allow?.map((entry) => (entry instanceof RegExp ? entry : normalizeToAbsHref(entry)));
+  /** @type {MutationObserverInit} */
+  const observeInit = skipPerElement
+    ? { childList: true, subtree: true, attributes: true, attributeFilter: [...resolverAttributes] }
+    : { childList: true, subtree: true };
+
+  /** @type {Set<string>} */
+  const pending = new Set();
+  /** @type {Set<string>} */
+  const loaded = new Set();
+  /** @type {Map<string, OnDemandCustomElementFailure>} */
+  const failed = new Map();
+  /** @type {Set<string>} */
+  const skipped = new Set();
+  /** @type {Set<string>} */
+  const deferred = new Set();
+  /** @type {Set<string>} hrefs that failed at least once, so later imports bypass a cached failure */
+  const failedHrefs = new Set();
+  /** @type {Map<string, { watch: (el: Element) => void; cancel: () => void; resolution: OnDemandCustomElementResolution }>} */
+  const deferredTriggers = new Map();
+  /**
+   * Instances of tags still undecided, deferred or loading, as scans found them. Weakly held and
+   * pruned on removals, so a detached element is never kept alive; skipped and failed tags and
+   * tags defined by other code are not tracked at all.
+   * @type {Map<string, Set<WeakRef<Element>>>}
+   */
+  const scannedInstances = new Map();
+  /** @type {WeakMap<Element, WeakRef<Element>>} one ref per element, so a set holds it once */
+  const instanceRefs = new WeakMap();
+  /** @type {Map<string, Promise<Document>>} HTML template files, fetched and applied under this loader's policy */
+  const htmlTemplateDocuments = new Map();
+  /** @type {Set<string>} tags prefetch() already warmed */
+  const prefetched = new Set();
+  /** @type {Set<string>} tags prefetch() is asking the resolver about */
+  const prefetching = new Set();
+  /** @type {(() => void) | null} undoes the prefetch option's idle callback or hover listeners */
+  let stopPrefetching = null;
+  /** @type {Map<string, string[]>} tags waiting for their dependsOn tags, used to detect cycles */
+  const waitingOn = new Map();
+  /** @type {WeakMap<Element, { kind: "loading" | "error" | null; nodes: ChildNode[]; timer?: ReturnType<typeof setTimeout> }>} */
+  const fallbacks = new WeakMap();
+  /** @type {Map<string, Promise<void>>} tags whose resolver call is in flight */
+  const resolving = new Map();
+  /** @type {WeakSet<Element>} instances the resolver declined, when skips are per element */
+  let skippedElements = new WeakSet();
+
+  // Module imports run at most `concurrency` at a time; the rest wait here in order.
+  let activeImports = 0;
+  /** @type {(() => void)[]} */
+  const importQueue = [];
+
+  // Subtrees added since the last flush; mutation batches are coalesced per animation frame.
+  /** @type {Set<Element>} */
+  const queuedRoots = new Set();
+  /** @type {Set<Element>} elements whose opt-in attributes changed */
+  const queuedElements = new Set();
+  /** @type {(() => void) | null} */
+  let cancelFlush = null;
+
+  /** @type {MutationObserver | null} */
+  let observer = null;
+  /** @type {Map<ShadowRoot, MutationObserver>} */
+  const shadowObservers = new Map();
+
+  const events = new EventTarget();
+
+  /**
+   * @param {OnDemandCustomElementEventType} type
+   * @param {OnDemandCustomElementEventDetail} detail
+   */
+  function emit(type, detail) {
+    events.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+
+  // Count of scans, resolver calls and imports in flight; whenIdle() waits for it to reach zero.
+  let busy = 0;
+  /** @type {(() => void)[]} */
+  const idleWaiters = [];
+
+  function enterBusy() {
+    busy++;
+  }
+
+  function leaveBusy() {
+    if (--busy > 0) return;
+    for (const wake of idleWaiters.splice(0)) wake();
+  }
+
+  /**
+   * @param {string} href absolute
+   * @returns {boolean}
+   */
+  function isUrlAllowed(href) {
+    if (!allowList) return true;
+    return allowList.some((entry) => {
+      if (entry instanceof RegExp) return entry.test(href);
+      // Path prefixes end at a segment boundary: "/elements" must not allow "/elements-evil/".
+      return href === entry || href.startsWith(entry.endsWith("/") ? entry : entry + "/");
+    });
+  }
+
+  /**
+   * The first reason the policy refuses a resolution, if any.
+   *
+   * @param {OnDemandCustomElementResolution} res
+   * @returns {{ reason: NonNullable<OnDemandCustomElementEventDetail["reason"]>; url?: string } | null}
+   */
+  function policyViolation(res) {
+    /** @type {(string | URL)[]} */
+    const urls = [...(res.styles ?? []), ...(res.preload ?? [])];
+    if (res.importFromHtml) urls.unshift(res.importFromHtml);
+    /** @type {string | URL | undefined} */
+    let current;
+    try {
+      if (res.importFromUrl && !res.load) {
+        current = res.importFromUrl;
+        const href = normalizeToAbsHref(current);
+        if (!isUrlAllowed(href)) return { reason: "not-allowed", url: href };
+        if (policy.requireIntegrity && !res.integrity) return { reason: "integrity-missing", url: href };
+        if (policy.requireIntegrity && !supportsModulePreload()) return { reason: "integrity-unverifiable", url: href };
+      }
+      for (const url of urls) {
+        current = url;
+        const href = normalizeToAbsHref(url);
+        if (!isUrlAllowed(href)) return { reason: "not-allowed", url: href };
+      }
+    } catch {
+      // An unparsable URL could never load; refuse it here instead of throwing out of the scan.
+      return { reason: "invalid-url", url: String(current) };
+    }
+    return null;
+  }
+
+  /**
+   * Audit a refused URL or resolution: log it and dispatch "blocked".
+   *
+   * @param {string} encounteredTag
+   * @param {Element | undefined} el
+   * @param {OnDemandCustomElementResolution | undefined} res
+   * @param {{ reason: NonNullable<OnDemandCustomElementEventDetail["reason"]>; url?: string }} violation
+   */
+  function reportBlocked(encounteredTag, el, res, violation) {
+    const message = violation.reason === "invalid-url" ? "Resolution has an invalid URL" : "Blocked by loader policy";
+    log("warn", message, { encounteredTag, ...violation, resolution: res });
+    emit("blocked", { tag: encounteredTag, element: el, resolution: res, startedAt: Date.now(), ...violation });
+  }
+
+  /**
+   * @param {string} encounteredTag
+   * @param {Element | undefined} el
+   * @param {OnDemandCustomElementResolution} res
+   * @returns {boolean}
+   */
+  function isBlocked(encounteredTag, el, res) {
+    const violation = policyViolation(res);
+    if (violation) reportBlocked(encounteredTag, el, res, violation);
+    return violation != null;
+  }
+
+  /** @type {{ createHTML(input: string): unknown } | null} */
+  let trustedTypesPolicy = null;
+
+  /**
+   * The named policy created here is a passthrough, not a sanitizer: template files are trusted
+   * because `allow` decided where they may come from.
+   *
+   * @param {string} html fetched from an allowed URL
+   * @returns {any} TrustedHTML when the policy asks for it, else the string
+   */
+  function toTrustedHTML(html) {
+    const tt = policy.trustedTypes;
+    if (!tt) return html;
+    if (typeof tt !== "string") return tt.createHTML(html);
+    trustedTypesPolicy ??= /** @type {any} */ (globalThis).trustedTypes?.createPolicy(tt, { createHTML: (/** @type {string} */ s) => s }) ?? {
+      createHTML: (/** @type {string} */ s) => s,
+    };
+    return /** @type {{ createHTML(input: string): unknown }} */ (trustedTypesPolicy).createHTML(html);
+  }
+
+  /** @returns {Promise<void>} */
+  function acquireImportSlot() {
+    if (activeImports < concurrency) {
+      activeImports++;
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => importQueue.push(() => resolve(undefined)));
+  }
+
+  function releaseImportSlot() {
+    const next = importQueue.shift();
+    if (next) next();
+    else activeImports--;
+  }
+
+  /**
+   * Generate and register a custom element from a <template>.
+   *
+   * Rule:
+   * - The template’s firstElementChild is treated as the “component root”.
+   * - That root tag name becomes the custom element name unless `defineAs` is provided.
+   * - Instances of the custom element will render by cloning the root’s children into the host.
+   * - The host’s own children are projected into `<slot>` / `[data-slot]` placeholders.
+   * - `{{attr}}` placeholders in text and attribute values follow the host’s attributes.
+   * - With `shadow: "open" | "closed"` the content renders into a shadow root instead; its
+   *   `<style>` / `<link rel=stylesheet>` become constructable stylesheets shared by all instances,
+   *   and slots are native.
+   * - A `<script type="module">` in the template (inline, or with `src`) supplies behavior: its default
+   *   export is a TemplateBehavior object or a mixin `(Base) => class extends Base`.
+   *
+   * Minimal behavior by design: content + light-DOM rendering unless shadow is requested.
+   *
+   * @param {string} encounteredTag
+   * @param {Element | null} tmpl
+   * @param {OnDemandCustomElementResolution} res
+   * @param {Record<string, unknown>} source where the template came from, for log messages
+   */
+  async function defineFromTemplate(encounteredTag, tmpl, res, source) {
+    if (!(tmpl instanceof HTMLTemplateElement)) {
+      log("warn", "Template resolution requested but template not found", { encounteredTag, ...source });
+      skipped.add(encounteredTag);
+      return;
+    }
+
+    const frag = tmpl.content;
+    const root = frag.firstElementChild;
+
+    if (!(root instanceof Element)) {
+      log("warn", "Template is empty or has no element root", { encounteredTag, ...source });
+      skipped.add(encounteredTag);
+      return;
+    }
+
+    const inferredTag = root.tagName.toLowerCase();
+    const defineAs = (res.defineAs ?? inferredTag).toLowerCase();
+
+    if (!isPotentialCustomElementTag(defineAs)) {
+      log("warn", "Refusing to define from template: invalid custom element tag", {
+        encounteredTag,
+        ...source,
+        inferredTag,
+        defineAs,
+      });
+      skipped.add(encounteredTag);
+      return;
+    }
+
+    // If already defined, do nothing.
+    if (customElements.get(defineAs)) {
+      loaded.add(encounteredTag);
+      return;
+    }
+
+    // Capture the root content once, so later changes to template don't surprise you.
+    const content = document.createDocumentFragment();
+    for (const child of root.childNodes) content.append(child.cloneNode(true));
+    // Cloned scripts would run on insertion into each instance; behavior comes from the module script instead.
+    for (const script of content.querySelectorAll("script")) script.remove();
+    const observed = observedPlaceholders(content);
+
+    const behaviorScripts = frag.querySelectorAll("script[type='module']");
+    if (behaviorScripts.length > 1) {
+      log("warn", "Template has more than one module script; only the first supplies behavior", {
+        encounteredTag,
+        ...source,
+      });
+    }
+    if (behaviorScripts.length > 0) {
+      const src = behaviorScripts[0].getAttribute("src");
+      // Inline behavior is imported from a blob: URL, so it runs only where the policy allows "blob:".
+      const href = src == null ? "blob:" : new URL(src, document.baseURI).href;
+      if (!isUrlAllowed(href)) {
+        reportBlocked(encounteredTag, undefined, res, { reason: "not-allowed", url: href });
+        skipped.add(encounteredTag);
+        return;
+      }
+    }
+    // Stylesheets linked from the template are fetched for every instance (or once, in shadow mode).
+    for (const link of content.querySelectorAll("link[rel~='stylesheet']")) {
+      const href = new URL(link.getAttribute("href") ?? "", document.baseURI).href;
+      if (isUrlAllowed(href)) continue;
+      reportBlocked(encounteredTag, undefined, res, { reason: "not-allowed", url: href });
+      link.remove();
+    }
+    const behavior = behaviorScripts.length > 0 ? await importTemplateBehavior(behaviorScripts[0]) : undefined;
+
+    const shadowMode = res.shadow;
+    // Resolution styles of a shadow-mode element go into its shadow root (the document's don't reach it).
+    const styleHrefs = shadowMode ? (res.styles ?? []).map((href) => normalizeToAbsHref(href)) : [];
+    if (styleHrefs.length > 0 && !supportsAdoptedStyleSheets()) {
+      content.prepend(...styleHrefs.map((href) => Object.assign(document.createElement("link"), { rel: "stylesheet", href })));
+    }
+    const sheets = shadowMode
+      ? adoptableStyleSheets(content, (href, error) =>
+          log("warn", "Failed to load template stylesheet", { encounteredTag, ...source, href, error }),
+        )
+      : null;
+    if (sheets && styleHrefs.length > 0) {
+      const loadedSheets = await Promise.all(
+        styleHrefs.map((href) =>
+          constructedStylesheet(href).catch((error) => {
+            log("warn", "Failed to load component stylesheet", { encounteredTag, href, error });
+            return null;
+          }),
+        ),
+      );
+      sheets.unshift(.../** @type {CSSStyleSheet[]} */ (loadedSheets.filter(Boolean)));
+    }
+
+    // Generate minimal custom element code at runtime.
+    class TemplateBackedElement extends HTMLElement {
+      static get observedAttributes() {
+        return observed;
+      }
+
+      /** @type {TemplateBinding[]} */
+      #bindings = [];
+      /** @type {ShadowRoot | null} */
+      #shadow = null;
+
+      /** Where the template content renders: the shadow root in shadow mode, else the element itself. */
+      get renderRoot() {
+        return this.#shadow ?? this;
+      }
+
+      connectedCallback() {
+        if (shadowMode) {
+          if (this.#shadow) return;
+          this.#shadow = this.attachShadow({ mode: shadowMode });
+          if (sheets) this.#shadow.adoptedStyleSheets = sheets;
+          this.#bindings = renderTemplateInto(this, content, this.#shadow);
+          return;
+        }
+
+        // Avoid rerendering if the element already has content (lets authors override).
+        if (this.hasAttribute("data-ce-rendered")) return;
+        this.setAttribute("data-ce-rendered", "1");
+        this.#bindings = renderTemplateInto(this, content);
+      }
+
+      attributeChangedCallback() {
+        updateBindings(this, this.#bindings);
+      }
+    }
+
+    const ElementClass = behavior == null ? TemplateBackedElement : withTemplateBehavior(TemplateBackedElement, behavior);
+
+    // The behavior import gave others a chance to define it meanwhile.
+    if (customElements.get(defineAs)) {
+      loaded.add(encounteredTag);
+      return;
+    }
+
+    customElements.define(defineAs, ElementClass);
+    loaded.add(encounteredTag);
+  }
+
+  /**
+   * Define components from a template in the page, looked up by id.
+   *
+   * @param {string} encounteredTag
+   * @param {OnDemandCustomElementResolution} res
+   */
+  async function importFromTmpl(encounteredTag, res) {
+    const tmplId = String(res.importFromTmpl || "");
+    await defineFromTemplate(encounteredTag, document.getElementById(tmplId), res, { importFromTmpl: tmplId });
+  }
+
+  /**
+   * Define a component from an HTML file of templates: the template named by the URL's #fragment,
+   * or (without one) the file's template whose root is the encountered tag; `defineAs` only
+   * applies with a #fragment. The file's other templates are left alone: their tags are defined
+   * when the resolver answers for them, under its own checks.
+   *
+   * @param {string} encounteredTag
+   * @param {OnDemandCustomElementResolution} res
+   */
+  async function importFromHtml(encounteredTag, res) {
+    const url = new URL(normalizeToAbsHref(/** @type {string | URL} */ (res.importFromHtml)));
+    const tmplId = decodeURIComponent(url.hash.slice(1));
+    url.hash = "";
+    const source = { importFromHtml: url.href, template: tmplId || undefined };
+    const doc = await htmlTemplateDocument(url.href, htmlTemplateDocuments, {
+      onError: (message, meta) => log("warn", message, { encounteredTag, ...meta }),
+      isAllowed: (href) => {
+        if (isUrlAllowed(href)) return true;
+        reportBlocked(encounteredTag, undefined, res, { reason: "not-allowed", url: href });
+        return false;
+      },
+      createHTML: toTrustedHTML,
+    });
+
+    if (tmplId) {
+      await defineFromTemplate(encounteredTag, doc.getElementById(tmplId), res, source);
+      return;
+    }
+
+    const tmpl = [...doc.querySelectorAll("template")].find((t) => t.content.firstElementChild?.localName === encounteredTag);
+    if (!tmpl) {
+      log("warn", "HTML templates file has no template for this tag", { encounteredTag, ...source });
+      skipped.add(encounteredTag);
+      return;
+    }
+    await defineFromTemplate(encounteredTag, tmpl, { ...res, defineAs: undefined }, source);
+  }
+
+  /**
+   * Run an import with per-try timeout and exponential backoff between tries.
+   * Every failed try is appended to `attempts`.
+   *
+   * @param {string} encounteredTag
+   * @param {string} defineAs
+   * @param {OnDemandCustomElementRetryOptions} retry
+   * @param {OnDemandCustomElementAttempt[]} attempts
+   * @param {(attempt: number) => { source: string; imported: Promise<any> }} importOnce
+   * @returns {Promise<any>}
+   */
+  async function importWithRetry(encounteredTag, defineAs, retry, attempts, importOnce) {
+    const maxAttempts = Math.max(1, retry.attempts ?? 1);
+    /** @type {Promise<any>[]} earlier tries, which may still finish after timing out */
+    const earlier = [];
+    for (let attempt = 1; ; attempt++) {
+      const startedAt = Date.now();
+      let source = "";
+      try {
+        const next = importOnce(attempt);
+        source = next.source;
+        // Whichever try finishes first wins; an earlier failure must not end this one.
+        const imported = Promise.race([next.imported, ...earlier.map((p) => p.catch(() => new Promise(() => {})))]);
+        earlier.push(next.imported);
+        return await withTimeout(imported, retry.timeoutMs, `Timed out after ${retry.timeoutMs}ms importing ${source}`);
+      } catch (err) {
+        // A retry URL is a separate module instance: if an earlier try registered the tag while this
+        // one ran, this one's own customElements.define threw. The element is there all the same.
+        if (customElements.get(defineAs)) return {};
+        attempts.push({ attempt, startedAt, durationMs: Date.now() - startedAt, error: err });
+        if (attempt >= maxAttempts) throw err;
+
+        const waitMs = Math.min(retry.maxBackoffMs ?? Infinity, (retry.backoffMs ?? 0) * 2 ** (attempt - 1));
+        log("warn", "Import failed; retrying", { encounteredTag, source, attempt, waitMs, error: err });
+        await delay(waitMs);
+
+        // A try that timed out may still have finished and self-registered in the meantime.
+        if (customElements.get(defineAs)) return {};
+      }
+    }
+  }
+
+  /**
+   * The tag a URL or factory resolution defines, or null (after recording why) when there is
+   * nothing to load: an invalid name is skipped, an existing definition counts as loaded.
+   *
+   * @param {string} encounteredTag
+   * @param {OnDemandCustomElementResolution} res
+   * @returns {string | null}
+   */
+  function moduleDefineAs(encounteredTag, res) {
+    const defineAs = (res.defineAs ?? encounteredTag).toLowerCase();
+
+    if (!isPotentialCustomElementTag(defineAs)) {
+      log("warn", "Refusing to load: not a valid custom element tag name", { encounteredTag, defineAs });
+      skipped.add(encounteredTag);
+      return null;
+    }
+
+    if (customElements.get(defineAs)) {
+      loaded.add(encounteredTag);
+      return null;
+    }
+    return defineAs;
+  }
+
+  /**
+   * Warm a resolution's `preload` modules in parallel with the component itself; failures surface
+   * on their own import.
+   *
+   * @param {OnDemandCustomElementResolution} res
+   */
+  function warmPreloads(res) {
+    if (!supportsModulePreload()) return;
+    for (const dep of res.preload ?? []) modulePreload(normalizeToAbsHref(dep)).catch(() => {});
+  }
+
+  /**
+   * Import module and optionally define from exports.
+   *
+   * @param {string} encounteredTag
+   * @param {OnDemandCustomElementResolution} res
+   * @param {OnDemandCustomElementAttempt[]} attempts
+   */
+  async function importFromUrl(encounteredTag, res, attempts) {
+    const defineAs = moduleDefineAs(encounteredTag, res);
+    if (!defineAs) return;
+
+    const href = normalizeToAbsHref(/** @type {string | URL} */ (res.importFromUrl));
+
+    log("debug", "Importing custom element module", { encounteredTag, defineAs, href, version: res.version });
+
+    const canPreload = supportsModulePreload();
+    if (res.integrity && !canPreload) {
+      log("warn", "Browser lacks modulepreload; integrity cannot be verified", { encounteredTag, href });
+    }
+    const integrity = canPreload ? res.integrity : undefined;
+
+    /** @type {Record<string, any>} */
+    let mod;
+    try {
+      mod = await importWithRetry(encounteredTag, defineAs, { ...retryDefaults, ...res.retry }, attempts, (attempt) => {
+        const attemptHref = attempt === 1 && !failedHrefs.has(href) ? href : withRetryParam(href);
+        const imported = (async () => {
+          // Fetching through an integrity-checked modulepreload first makes import() reuse verified bytes.
+          if (integrity) await modulePreload(attemptHref, integrity);
+          return import(attemptHref);
+        })();
+        return { source: attemptHref, imported };
+      });
+    } catch (err) {
+      failedHrefs.add(href);
+      throw err;
+    }
+
+    await defineFromModule(encounteredTag, defineAs, res, mod);
+  }
+
+  /**
+   * Call a resolution's `load()` factory (with the same retries as a URL import) and define from
+   * what it returns: a module namespace (exportName or self-registration, as for URLs) or the
+   * element class itself.
+   *
+   * @param {string} encounteredTag
+   * @param {OnDemandCustomElementResolution} res
+   * @param {OnDemandCustomElementAttempt[]} attempts
+   */
+  async function importFromFactory(encounteredTag, res, attempts) {
+    const defineAs = moduleDefineAs(encounteredTag, res);
+    if (!defineAs) return;
+
+    const load = /** @type {NonNullable<OnDemandCustomElementResolution["load"]>} */ (res.load);
+    log("debug", "Loading custom element through its load()", { encounteredTag, defineAs, version: res.version });
+
+    const loadedValue = await importWithRetry(encounteredTag, defineAs, { ...retryDefaults, ...res.retry }, attempts, () => ({
+      source: `load() for <${encounteredTag}>`,
+      imported: Promise.resolve().then(load),
+    }));
+
+    if (isHTMLElementConstructor(loadedValue)) {
+      await defineFromModule(encounteredTag, defineAs, { ...res, exportName: res.exportName ?? "default" }, { default: loadedValue });
+      return;
+    }
+    await defineFromModule(encounteredTag, defineAs, res, loadedValue ?? {});
+  }
+
+  /**
+   * After an import: done if the module registered the tag itself, else define the export that
+   * `exportName` selects.
+   *
+   * @param {string} encounteredTag
+   * @param {string} defineAs
+   * @param {OnDemandCustomElementResolution} res
+   * @param {Record<string, any>} mod
+   */
+  async function defineFromModule(encounteredTag, defineAs, res, mod) {
+    if (customElements.get(defineAs)) {
+      loaded.add(encounteredTag);
+      if (res.waitForDefinition) await customElements.whenDefined(defineAs);
+      return;
+    }
+
+    // If exportName not provided, we assume the module self-registers.
+    if (res.exportName == null) {
+      log("warn", "Module imported but element not defined (self-registering expected)", {
+        encounteredTag,
+        defineAs,
+        exportKeys: Object.keys(mod),
+      });
+      loaded.add(encounteredTag);
+      return;
+    }
+
+    /** @type {unknown} */
+    let candidate;
+    if (typeof res.exportName === "function") {
+      candidate = res.exportName(mod);
+    } else if (res.exportName === "default") {
+      candidate = mod.default;
+    } else {
+      candidate = mod[res.exportName];
+    }
+
+    if (!isHTMLElementConstructor(candidate)) {
+      log("warn", "Export is not a valid HTMLElement subclass constructor; cannot define", {
+        encounteredTag,
+        defineAs,
+        exportName: res.exportName,
+        exportKeys: Object.keys(mod),
+      });
+      loaded.add(encounteredTag);
+      return;
+    }
+
+    customElements.define(defineAs, /** @type {CustomElementConstructor} */ (candidate));
+    loaded.add(encounteredTag);
+
+    if (res.waitForDefinition) await customElements.whenDefined(defineAs);
+  }
+
+  /**
+   * Apply a resolution for an encountered tag.
+   *
+   * @param {string} encounteredTag
+   * @param {OnDemandCustomElementResolution} res
+   */
+  async function applyResolution(encounteredTag, res) {
+    // Deduplicate by encountered tag.
+    if (pending.has(encounteredTag)) return;
+    pending.add(encounteredTag);
+    failed.delete(encounteredTag);
+    enterBusy();
+    markState(encounteredTag, "pending");
+
+    /** @type {OnDemandCustomElementAttempt[]} */
+    const attempts = [];
+    const startedAt = Date.now();
+    emit("import-start", { tag: encounteredTag, resolution: res, startedAt });
+
+    try {
+      if (isBlocked(encounteredTag, undefined, res)) {
+        skipped.add(encounteredTag);
+      } else if (res.importFromTmpl || res.importFromHtml) {
+        await loadPrerequisites(encounteredTag, res);
+        if (res.importFromTmpl) {
+          await importFromTmpl(encounteredTag, res);
+        } else {
+          await acquireImportSlot();
+          try {
+            await importFromHtml(encounteredTag, res);
+          } finally {
+            releaseImportSlot();
+          }
+        }
+        if (res.waitForDefinition) {
+          const defineAs = (res.defineAs ?? encounteredTag).toLowerCase();
+          if (isPotentialCustomElementTag(defineAs)) await customElements.whenDefined(defineAs);
+        }
+      } else if (res.load || res.importFromUrl) {
+        await loadPrerequisites(encounteredTag, res);
+        await acquireImportSlot();
+        try {
+          if (res.load) await importFromFactory(encounteredTag, res, attempts);
+          else await importFromUrl(encounteredTag, res, attempts);
+        } finally {
+          releaseImportSlot();
+        }
+      } else {
+        log("warn", "Resolver returned a resolution with none of importFromUrl, importFromTmpl, importFromHtml or load", {
+          encounteredTag,
+          resolution: res,
+        });
+        skipped.add(encounteredTag);
+      }
+    } catch (err) {
+      if (attempts.length === 0) {
+        attempts.push({ attempt: 1, startedAt, durationMs: Date.now() - startedAt, error: err });
+      }
+      failed.set(encounteredTag, { error: err, attempts, resolution: res });
+      log("error", "Failed to resolve/import/define custom element", { encounteredTag, error: err, attempts });
+    } finally {
+      pending.delete(encounteredTag);
+    }
+
+    try {
+      const timing = { tag: encounteredTag, resolution: res, startedAt, durationMs: Date.now() - startedAt };
+      if (loaded.has(encounteredTag)) {
+        markState(encounteredTag, "loaded");
+        emit("defined", timing);
+        await scanUpgradedHosts(encounteredTag);
+      } else if (failed.has(encounteredTag)) {
+        const { error } = /** @type {OnDemandCustomElementFailure} */ (failed.get(encounteredTag));
+        markState(encounteredTag, "failed");
+        emit("failed", { ...timing, error, attempts });
+      } else if (skipped.has(encounteredTag)) {
+        markState(encounteredTag, "skipped");
+        emit("skipped", timing);
+      }
+    } finally {
+      leaveBusy();
+    }
+  }
+
+  /**
+   * Load what has to be in place before a resolution's element is defined, in parallel: the tags
+   * it depends on, and its stylesheets (unless a shadow-mode template adopts them itself).
+   * A stylesheet that fails to load is logged but does not fail the element. Preloads start
+   * first, for every kind of resolution, and are not waited for.
+   *
+   * Stylesheets of URL modules and load() factories only go into the document: the loader does
+   * not see the shadow roots those elements create, so such a component adopts its own styles.
+   *
+   * @param {string} encounteredTag
+   * @param {OnDemandCustomElementResolution} res
+   */
+  async function loadPrerequisites(encounteredTag, res) {
+    warmPreloads(res);
+    const documentStyles = (res.importFromTmpl || res.importFromHtml) && res.shadow ? [] : (res.styles ?? []);
+    await Promise.all([
+      loadDependencies(encounteredTag, (res.dependsOn ?? []).map((t) => t.toLowerCase())),
+      ...documentStyles.map((href) =>
+        documentStylesheet(normalizeToAbsHref(href)).catch((error) =>
+          log("warn", "Failed to load component stylesheet", { encounteredTag, href, error }),
+        ),
+      ),
+    ]);
+  }
+
+  /**
+   * Load every dependency of a tag, failing on a cycle (which would otherwise wait forever).
+   *
+   * @param {string} encounteredTag
+   * @param {string[]} deps
+   */
+  async function loadDependencies(encounteredTag, deps) {
+    if (deps.length === 0) return;
+    waitingOn.set(encounteredTag, deps);
+    try {
+      for (const dep of deps) {
+        const path = dependencyPath(dep, encounteredTag);
+        if (!path) continue;
+        const cycle = [encounteredTag, ...path];
+        log("error", "Custom element dependency cycle", { encounteredTag, cycle });
+        throw new Error(`Dependency cycle: ${cycle.map((t) => `<${t}>`).join(" -> ")}`);
+      }
+      await Promise.all(deps.map((dep) => loadDependency(encounteredTag, dep)));
+    } finally {
+      waitingOn.delete(encounteredTag);
+    }
+  }
+
+  /**
+   * Path from `from` to `to` through tags that are waiting on their dependencies, if any.
+   *
+   * @param {string} from
+   * @param {string} to
+   * @param {Set<string>} [seen]
+   * @returns {string[] | null}
+   */
+  function dependencyPath(from, to, seen = new Set()) {
+    if (from === to) return [from];
+    if (seen.has(from)) return null;
+    seen.add(from);
+    for (const next of waitingOn.get(from) ?? []) {
+      const rest = dependencyPath(next, to, seen);
+      if (rest) return [from, ...rest];
+    }
+    return null;
+  }
+
+  /**
+   * Load one dependency whether or not it is in the document yet: resolve it (with a detached
+   * instance), skip its load strategy, and wait until it is defined.
+   *
+   * @param {string} dependent
+   * @param {string} dep
+   */
+  async function loadDependency(dependent, dep) {
+    if (!isPotentialCustomElementTag(dep)) {
+      throw new Error(`<${dependent}> depends on <${dep}>, which is not a valid custom element name`);
+    }
+    for (let inFlight = resolving.get(dep); inFlight; inFlight = resolving.get(dep)) await inFlight;
+    if (customElements.get(dep) || loaded.has(dep)) return;
+
+    const deferral = deferredTriggers.get(dep);
+    if (deferral) {
+      cancelDeferred(dep);
+      void applyResolution(dep, deferral.resolution);
+    } else if (!tagState(dep)) {
+      const decision = await resolveTag(dep, document.createElement(dep));
+      if (decision === false && !failed.has(dep)) throw new Error(`<${dependent}> depends on <${dep}>, which was skipped`);
+      if (decision !== false) void applyResolution(dep, decision);
+    }
+
+    try {
+      await whenLoaded(dep);
+    } catch (err) {
+      throw new Error(`<${dependent}> depends on <${dep}>, which did not load`, { cause: err });
+    }
+  }
+
+  /**
+   * Decide whether to load a tag, given the instances of it found by one scan or mutation batch.
+   * The resolver runs once per tag (with the first instance); instances that arrive while it is
+   * in flight wait for that decision instead of asking again. When skips are per element, each
+   * instance the resolver has not declined yet gets asked until one resolves.
+   *
+   * @param {string} encounteredTag
+   * @param {Element[]} instances
+   * @returns {Promise<void>}
+   */
+  function maybeLoadForTag(encounteredTag, instances) {
+    if (!isPotentialCustomElementTag(encounteredTag) || instances.length === 0) return Promise.resolve();
+
+    // Instances that show up after their tag settled (or while it loads) get the same state.
+    const known = tagState(encounteredTag);
+    if (known) for (const el of instances) markElement(el, known);
+    return decideTag(encounteredTag);
+  }
+
+  /**
+   * The waiting half of maybeLoadForTag. It reads instances back from the weakly held scan
+   * results after every await, so a slow resolver keeps only the element it was asked about alive.
+   *
+   * @param {string} encounteredTag
+   */
+  async function decideTag(encounteredTag) {
+    for (let inFlight = resolving.get(encounteredTag); inFlight; inFlight = resolving.get(encounteredTag)) {
+      await inFlight;
+    }
+    if (customElements.get(encounteredTag)) return;
+
+    // Already resolved but waiting on its load strategy: these instances can trigger it too.
+    if (deferred.has(encounteredTag)) {
+      const trigger = deferredTriggers.get(encounteredTag);
+      for (const el of instancesOf(encounteredTag)) trigger?.watch(el);
+      return;
+    }
+    if (tagState(encounteredTag)) return;
+
+    const nextCandidate = () => instancesOf(encounteredTag).find((el) => !skippedElements.has(el));
+    let candidate = nextCandidate();
+    if (!candidate) return;
+
+    enterBusy();
+    /** @type {() => void} */
+    let decided = () => {};
+    resolving.set(encounteredTag, new Promise((resolve) => (decided = () => resolve(undefined))));
+    try {
+      /** @type {false | OnDemandCustomElementResolution} */
+      let decision = false;
+      const startedAt = Date.now();
+      while (candidate) {
+        decision = await resolveTag(encounteredTag, candidate);
+        if (decision !== false || failed.has(encounteredTag) || !skipPerElement) break;
+        candidate = nextCandidate();
+      }
+      // Per-element skips settle the tag only once every instance found so far has opted out.
+      if (decision === false && skipPerElement && !failed.has(encounteredTag)) {
+        emit("skipped", { tag: encounteredTag, startedAt, durationMs: Date.now() - startedAt });
+      }
+      const isDeferred = decision !== false && deferLoad(encounteredTag, instancesOf(encounteredTag), decision);
+      resolving.delete(encounteredTag);
+      decided();
+      if (decision !== false && !isDeferred) await applyResolution(encounteredTag, decision);
+    } finally {
+      resolving.delete(encounteredTag);
+      decided();
+      leaveBusy();
+    }
+  }
+
+  /**
+   * Run the resolver for a tag and record a skip (for the tag, or just this element) or failure.
+   * A per-element skip emits no event: maybeLoadForTag reports the tag once no instance is left.
+   *
+   * @param {string} encounteredTag
+   * @param {Element} el
+   * @returns {Promise<false | OnDemandCustomElementResolution>}
+   */
+  async function resolveTag(encounteredTag, el) {
+    /** @type {false | OnDemandCustomElementResolution} */
+    let decision = false;
+    const startedAt = Date.now();
+    emit("resolve-start", { tag: encounteredTag, element: el, startedAt });
+    try {
+      decision = await resolver(encounteredTag, el);
+    } catch (err) {
+      const durationMs = Date.now() - startedAt;
+      const attempts = [{ attempt: 1, startedAt, durationMs, error: err }];
+      failed.set(encounteredTag, { error: err, attempts });
+      log("error", "Resolver threw; marking as failed", { encounteredTag, error: err });
+      markState(encounteredTag, "failed");
+      emit("failed", { tag: encounteredTag, element: el, startedAt, durationMs, error: err, attempts });
+      return false;
+    }
+
+    const timing = { tag: encounteredTag, element: el, startedAt, durationMs: Date.now() - startedAt };
+    // A blocked resolution counts as a "no" for this element, so other instances can still load.
+    if (decision !== false && isBlocked(encounteredTag, el, decision)) decision = false;
+    if (decision === false) {
+      if (skipPerElement) {
+        // Only this element opted out; the tag stays undecided while other instances may not.
+        skippedElements.add(el);
+        markElement(el, "skipped");
+        return false;
+      }
+      skipped.add(encounteredTag);
+      markState(encounteredTag, "skipped");
+      emit("skipped", timing);
+      return false;
+    }
+    emit("resolved", { ...timing, resolution: decision });
+    return decision;
+  }
+
+  /**
+   * Hold a resolved tag in the "deferred" state until its load strategy fires.
+   * Returns false when the resolution should load immediately instead.
+   *
+   * @param {string} encounteredTag
+   * @param {Element[]} instances
+   * @param {OnDemandCustomElementResolution} res
+   * @returns {boolean}
+   */
+  function deferLoad(encounteredTag, instances, res) {
+    if (res.loadOn == null || res.loadOn === "immediate") return false;
+    if (pending.has(encounteredTag)) return false;
+
+    const trigger = createLoadTrigger(res, () => {
+      if (!deferred.has(encounteredTag)) return;
+      cancelDeferred(encounteredTag);
+      log("debug", "Deferred load triggered", { encounteredTag, loadOn: res.loadOn });
+      void applyResolution(encounteredTag, res);
+    });
+
+    if (!trigger) {
+      log("warn", "Load strategy unsupported or misconfigured; loading immediately", {
+        encounteredTag,
+        loadOn: res.loadOn,
+        media: res.media,
+      });
+      return false;
+    }
+
+    deferred.add(encounteredTag);
+    deferredTriggers.set(encounteredTag, { ...trigger, resolution: res });
+    for (const el of instances) trigger.watch(el);
+    markState(encounteredTag, "deferred");
+    log("debug", "Deferring custom element load", { encounteredTag, loadOn: res.loadOn });
+    return true;
+  }
+
+  /**
+   * @param {string} encounteredTag
+   */
+  function cancelDeferred(encounteredTag) {
+    deferredTriggers.get(encounteredTag)?.cancel();
+    deferredTriggers.delete(encounteredTag);
+    deferred.delete(encounteredTag);
+  }
+
+  /**
+   * Start observing a shadow root with its own MutationObserver (one per root, so each can be
+   * disconnected independently once its host leaves the document).
+   *
+   * @param {ShadowRoot} shadowRoot
+   */
+  function watchShadowRoot(shadowRoot) {
+    if (!observer || shadowObservers.has(shadowRoot)) return;
+    const shadowObserver = new MutationObserver(onMutations);
+    shadowObserver.observe(shadowRoot, observeInit);
+    shadowObservers.set(shadowRoot, shadowObserver);
+  }
+
+  /**
+   * Stop observing shadow roots whose hosts are no longer connected.
+   */
+  function pruneShadowObservers() {
+    for (const [shadowRoot, shadowObserver] of shadowObservers) {
+      if (shadowRoot.host.isConnected) continue;
+      shadowObserver.disconnect();
+      shadowObservers.delete(shadowRoot);
+    }
+  }
+
+  /**
+   * Open shadow root of an element, if shadow roots are followed (and observed while started).
+   * Closed shadow roots are not reachable and are never followed.
+   *
+   * @param {Element} el
+   * @returns {ShadowRoot | null}
+   */
+  function shadowRootOf(el) {
+    if (!observeShadowRoots || !el.shadowRoot) return null;
+    watchShadowRoot(el.shadowRoot);
+    return el.shadowRoot;
+  }
+
+  /**
+   * Every element below `root`, descending into open shadow roots (including root’s own).
+   *
+   * @param {ParentNode} root
+   * @returns {Generator<Element>}
+   */
+  function* elementsWithin(root) {
+    if (root instanceof Element) {
+      const sr = shadowRootOf(root);
+      if (sr) yield* elementsWithin(sr);
     }
+    for (const el of root.querySelectorAll("*")) {
+      yield el;
+      const sr = shadowRootOf(el);
+      if (sr) yield* elementsWithin(sr);
+    }
+  }
 
-    if (!isHTMLElementConstructor(candidate)) {
-      log("warn", "Export is not a valid HTMLElement subclass constructor; cannot define", {
-        encounteredTag,
-        defineAs,
-        exportName: res.exportName,
-        exportKeys: Object.keys(mod),
+  /**
+   * Every instance of a tag still in the document (including inside open shadow roots), as
+   * scans found them; instances that left are forgotten here.
+   *
+   * @param {string} tagName
+   * @returns {Element[]}
+   */
+  function instancesOf(tagName) {
+    const known = scannedInstances.get(tagName);
+    if (!known) return [];
+    /** @type {Element[]} */
+    const found = [];
+    for (const ref of known) {
+      const el = ref.deref();
+      if (el?.isConnected) found.push(el);
+      else known.delete(ref);
+    }
+    return found;
+  }
+
+  /**
+   * @param {string} tag
+   * @param {Element} el
+   */
+  function trackInstance(tag, el) {
+    if (skipped.has(tag) || failed.has(tag)) return;
+    let known = scannedInstances.get(tag);
+    if (!known) {
+      known = new Set();
+      scannedInstances.set(tag, known);
+      // Defined by other code: there is nothing left to mark or rescan. The loader's own
+      // definitions are dropped by scanUpgradedHosts, once it has used them.
+      void customElements.whenDefined(tag).then(() => {
+        if (!pending.has(tag) && !resolving.has(tag)) scannedInstances.delete(tag);
       });
-      loaded.add(encounteredTag);
-      return;
     }
+    let ref = instanceRefs.get(el);
+    if (!ref) {
+      ref = new WeakRef(el);
+      instanceRefs.set(el, ref);
+    }
+    known.add(ref);
+  }
 
-    customElements.define(defineAs, /** @type {CustomElementConstructor} */ (candidate));
-    loaded.add(encounteredTag);
+  /** Forget instances that left the document (or were collected already). */
+  function pruneInstances() {
+    for (const tag of [...scannedInstances.keys()]) instancesOf(tag);
+  }
 
-    if (res.waitForDefinition) await customElements.whenDefined(defineAs);
+  /**
+   * @param {string} tagName
+   * @returns {OnDemandCustomElementState | null}
+   */
+  function tagState(tagName) {
+    if (pending.has(tagName)) return "pending";
+    if (deferred.has(tagName)) return "deferred";
+    if (loaded.has(tagName)) return "loaded";
+    if (failed.has(tagName)) return "failed";
+    if (skipped.has(tagName)) return "skipped";
+    return null;
   }
 
   /**
-   * Apply a resolution for an encountered tag.
+   * Mirror a tag’s new state onto all of its instances.
    *
-   * @param {string} encounteredTag
-   * @param {OnDemandCustomElementResolution} res
+   * @param {string} tagName
+   * @param {OnDemandCustomElementState} state
    */
-  async function applyResolution(encounteredTag, res) {
-    // Deduplicate by encountered tag.
-    if (pending.has(encounteredTag)) return;
-    pending.add(encounteredTag);
-    failed.delete(encounteredTag);
+  function markState(tagName, state) {
+    if (stateAttribute || fallbackContent) {
+      for (const el of instancesOf(tagName)) markElement(el, state);
+    }
+    // Settled for good (until retry() or clearSkipped()): new instances are marked as they come.
+    if (state === "skipped" || state === "failed") scannedInstances.delete(tagName);
+  }
 
-    try {
-      if (res.importFromTmpl) {
-        defineFromTemplate(encounteredTag, res);
-        if (res.waitForDefinition) {
-          const defineAs = (res.defineAs ?? encounteredTag).toLowerCase();
-          if (isPotentialCustomElementTag(defineAs)) await customElements.whenDefined(defineAs);
-        }
-        return;
-      }
+  /**
+   * @param {Element} el
+   * @param {OnDemandCustomElementState} state
+   */
+  function markElement(el, state) {
+    if (stateAttribute && el.getAttribute(stateAttribute) !== state) el.setAttribute(stateAttribute, state);
+    if (fallbackContent) applyFallback(el, state);
+  }
 
-      if (res.importFromUrl) {
-        await importFromUrl(encounteredTag, res);
-        return;
-      }
+  /**
+   * Swap declarative fallback content in or out:
+   * - pending/deferred: after `fallbackDelayMs`, append a clone of `<template slot="ce-loading">`
+   * - failed: append a clone of `<template slot="ce-error">`
+   * - anything else: remove whatever fallback content was appended
+   *
+   * Loading content is removed right after the element upgrades, so keep it out of the way of
+   * components that read their light-DOM children in the constructor.
+   *
+   * @param {Element} el
+   * @param {OnDemandCustomElementState} state
+   */
+  function applyFallback(el, state) {
+    const want = state === "failed" ? "error" : state === "pending" || state === "deferred" ? "loading" : null;
+    let record = fallbacks.get(el);
+    if (!record) {
+      if (!want) return;
+      record = { kind: null, nodes: [] };
+      fallbacks.set(el, record);
+    }
+    if (record.kind === want || (want === "loading" && record.timer)) return;
 
-      log("warn", "Resolver returned a resolution with neither importFromUrl nor importFromTmpl", {
-        encounteredTag,
-        resolution: res,
-      });
-      skipped.add(encounteredTag);
-    } catch (err) {
-      failed.set(encounteredTag, err);
-      log("error", "Failed to resolve/import/define custom element", { encounteredTag, error: err });
-    } finally {
-      pending.delete(encounteredTag);
+    clearTimeout(record.timer);
+    record.timer = undefined;
+    // contains(), not parentNode: template-backed elements may have projected it into a slot.
+    for (const node of record.nodes) if (el.contains(node)) node.remove();
+    record.nodes = [];
+    record.kind = null;
+
+    const current = record;
+    if (want === "error") {
+      showFallback(el, current, "error");
+    } else if (want === "loading") {
+      current.timer = setTimeout(() => {
+        current.timer = undefined;
+        const now = tagState(el.localName);
+        if (now === "pending" || now === "deferred") showFallback(el, current, "loading");
+      }, fallbackDelayMs);
     }
   }
 
   /**
-   * Decide whether to load a particular element instance.
-   *
    * @param {Element} el
+   * @param {{ kind: "loading" | "error" | null; nodes: ChildNode[] }} record
+   * @param {"loading" | "error"} kind
    */
-  async function maybeLoadForElement(el) {
-    const encounteredTag = el.tagName.toLowerCase();
-    if (!isPotentialCustomElementTag(encounteredTag)) return;
-
-    if (customElements.get(encounteredTag)) return;
-    if (loaded.has(encounteredTag) || failed.has(encounteredTag) || skipped.has(encounteredTag)) return;
+  function showFallback(el, record, kind) {
+    record.kind = kind;
+    const tmpl = fallbackTemplateOf(el, kind);
+    if (!tmpl) return;
+    const frag = /** @type {DocumentFragment} */ (tmpl.content.cloneNode(true));
+    record.nodes = [...frag.childNodes];
+    el.append(frag);
+  }
 
-    /** @type {false | OnDemandCustomElementResolution} */
-    let decision = false;
-    try {
-      decision = await resolver(encounteredTag, el);
-    } catch (err) {
-      failed.set(encounteredTag, err);
-      log("error", "Resolver threw; marking as failed", { encounteredTag, error: err });
-      return;
+  /**
+   * After a tag is defined its instances have upgraded and may have attached shadow roots
+   * (typically in the constructor or connectedCallback). Scan those so nested tags load too.
+   *
+   * @param {string} tagName
+   */
+  async function scanUpgradedHosts(tagName) {
+    if (!customElements.get(tagName)) return;
+    const hosts = instancesOf(tagName);
+    // Scans skip defined tags, so there is nothing left to track for this one.
+    scannedInstances.delete(tagName);
+    for (const host of hosts) {
+      const shadowRoot = shadowRootOf(host);
+      if (shadowRoot) await scan(shadowRoot);
     }
+  }
 
-    if (decision === false) {
-      skipped.add(encounteredTag);
-      return;
+  /**
+   * Group the not-yet-defined custom elements under `roots` by tag, in one pass per root.
+   * Shadow roots are still descended into (their hosts are usually defined already).
+   *
+   * @param {Iterable<ParentNode>} roots
+   * @returns {Map<string, Set<Element>>}
+   */
+  function collectTags(roots) {
+    /** @type {Map<string, Set<Element>>} */
+    const byTag = new Map();
+    for (const root of roots) {
+      if (root instanceof Element) groupByTag(byTag, root);
+      if (!deepScan) continue;
+      for (const el of elementsWithin(root)) groupByTag(byTag, el);
     }
+    return byTag;
+  }
 
-    await applyResolution(encounteredTag, decision);
+  /**
+   * @param {Map<string, Set<Element>>} byTag
+   * @param {Element} el
+   */
+  function groupByTag(byTag, el) {
+    const tag = el.localName;
+    if (!tag.includes("-") || customElements.get(tag)) return;
+    trackInstance(tag, el);
+    const instances = byTag.get(tag);
+    if (instances) instances.add(el);
+    else byTag.set(tag, new Set([el]));
   }
 
+  /**
+   * Find every unknown custom element under `root` and load each tag once. Tags resolve and
+   * import in parallel (imports limited by `concurrency`), so one slow module blocks nothing else.
+   *
+   * @param {ParentNode} [root]
+   */
   async function scan(root = document) {
-    if (root instanceof Element) {
-      await maybeLoadForElement(root);
-      if (!deepScan) return;
-    }
-    if (!deepScan) return;
-
-    const all = root.querySelectorAll("*");
-    for (const el of all) {
-      await maybeLoadForElement(el);
+    enterBusy();
+    try {
+      const byTag = collectTags(root instanceof Element || deepScan ? [root] : []);
+      await Promise.all([...byTag].map(([tag, instances]) => maybeLoadForTag(tag, [...instances])));
+    } finally {
+      leaveBusy();
     }
   }
 
@@ -341,42 +2243,281 @@ export function createOnDemandCustomElementsLoader(options = {}) {
    * @param {MutationRecord[]} mutations
    */
   function onMutations(mutations) {
+    let removed = false;
     for (const m of mutations) {
+      if (m.type === "attributes") {
+        // An opt-in attribute appeared or changed: the resolver may answer differently now.
+        const el = /** @type {Element} */ (m.target);
+        skippedElements.delete(el);
+        queuedElements.add(el);
+        continue;
+      }
       for (const node of m.addedNodes) {
-        if (!(node instanceof Element)) continue;
-        void maybeLoadForElement(node);
-        for (const el of node.querySelectorAll("*")) void maybeLoadForElement(el);
+        if (node instanceof Element) queuedRoots.add(node);
       }
+      if (m.removedNodes.length > 0) removed = true;
+    }
+    if (removed) {
+      pruneShadowObservers();
+      pruneInstances();
     }
+    if ((queuedRoots.size > 0 || queuedElements.size > 0) && !cancelFlush) scheduleFlush();
   }
 
-  function start() {
-    void scan(document);
+  function scheduleFlush() {
+    enterBusy();
+    const run = () => {
+      cancelFlush = null;
+      try {
+        flushMutations();
+      } finally {
+        leaveBusy();
+      }
+    };
+    const raf = typeof requestAnimationFrame === "function";
+    const handle = raf ? requestAnimationFrame(run) : setTimeout(run, 0);
+    cancelFlush = () => {
+      if (raf) cancelAnimationFrame(/** @type {number} */ (handle));
+      else clearTimeout(handle);
+      cancelFlush = null;
+      leaveBusy();
+    };
+  }
 
-    if (!observeMutations) return;
-    if (observer) return;
+  /**
+   * Scan everything added since the last frame. Nodes that were removed again, or that sit
+   * inside another queued subtree, are not walked separately.
+   */
+  function flushMutations() {
+    const roots = [...queuedRoots].filter((el) => {
+      if (!el.isConnected) return false;
+      for (let p = el.parentNode; p; p = p.parentNode) if (p instanceof Element && queuedRoots.has(p)) return false;
+      return true;
+    });
+    queuedRoots.clear();
+
+    const byTag = collectTags(roots);
+    for (const el of queuedElements) if (el.isConnected) groupByTag(byTag, el);
+    queuedElements.clear();
+    for (const [tag, instances] of byTag) void maybeLoadForTag(tag, [...instances]);
+  }
 
-    observer = new MutationObserver(onMutations);
-    observer.observe(observeRoot, { childList: true, subtree: true });
+  function start() {
+    // Observe first, so shadow roots found by the initial scan get their own observers.
+    if (observeMutations && !observer) {
+      observer = new MutationObserver(onMutations);
+      observer.observe(observeRoot, observeInit);
+    }
+
+    void scan(document);
+    if (prefetchOptions && !stopPrefetching) stopPrefetching = startPrefetching(prefetchOptions);
   }
 
   function stop() {
+    stopPrefetching?.();
+    stopPrefetching = null;
     observer?.disconnect();
     observer = null;
+    // Nothing queued before stop() is loaded after it.
+    queuedRoots.clear();
+    queuedElements.clear();
+    cancelFlush?.();
+    for (const shadowObserver of shadowObservers.values()) shadowObserver.disconnect();
+    shadowObservers.clear();
+    // Deferred tags go back to unknown, so a later start() resolves them again.
+    for (const tag of [...deferred]) cancelDeferred(tag);
   }
 
   async function preload(tagName, resolution) {
     const encounteredTag = tagName.toLowerCase();
     if (!isPotentialCustomElementTag(encounteredTag)) return;
     if (customElements.get(encounteredTag)) return;
+    // An explicit preload does not wait for the load strategy.
+    cancelDeferred(encounteredTag);
     await applyResolution(encounteredTag, resolution);
   }
 
-  return {
+  /**
+   * Ask the resolver about tags and warm their modules with `<link rel="modulepreload">` (with
+   * integrity when the resolution has it), their dependencies' too. Nothing is imported or defined,
+   * and the links are the ones a later load reuses. Each tag is prefetched once; tags that are
+   * already loaded, or whose resolution the policy blocks, are left alone.
+   *
+   * @param {string | readonly string[]} tagNames
+   * @returns {Promise<void>}
+   */
+  async function prefetch(tagNames) {
+    if (!supportsModulePreload()) return;
+    await Promise.all([tagNames].flat().map((t) => prefetchTag(t.toLowerCase())));
+  }
+
+  /**
+   * Never rejects: prefetching is a hint, and it runs from idle callbacks and hover listeners.
+   *
+   * @param {string} tag
+   * @param {Element} [el] an instance to show attribute-based resolvers; else a detached one
+   */
+  async function prefetchTag(tag, el) {
+    if (!isPotentialCustomElementTag(tag) || prefetched.has(tag) || prefetching.has(tag)) return;
+    if (loaded.has(tag) || pending.has(tag) || customElements.get(tag)) return;
+    prefetching.add(tag);
+
+    /** @type {{ href: string; integrity?: string }[]} */
+    let hints;
+    /** @type {string[]} */
+    let dependsOn;
+    try {
+      // A deferred tag was resolved already.
+      const res = deferredTriggers.get(tag)?.resolution ?? (await resolver(tag, el ?? document.createElement(tag)));
+      if (res === false || policyViolation(res)) return;
+      hints = modulePreloadHints(res).map(({ url, integrity }) => ({ href: normalizeToAbsHref(url), integrity }));
+      dependsOn = (res.dependsOn ?? []).map((dep) => dep.toLowerCase());
+    } catch (err) {
+      log("debug", "Prefetch failed", { encounteredTag: tag, error: err });
+      return;
+    } finally {
+      prefetching.delete(tag);
+    }
+    // Only a tag that produced something is done; one the resolver turned down may resolve for a later instance.
+    if (hints.length === 0 && dependsOn.length === 0) return;
+    prefetched.add(tag);
+
+    log("debug", "Prefetching custom element modules", { encounteredTag: tag });
+    for (const { href, integrity } of hints) modulePreload(href, integrity).catch(() => {});
+    await Promise.all(dependsOn.map((dep) => prefetchTag(dep)));
+  }
+
+  /**
+   * Set up the prefetch option.
+   *
+   * @param {OnDemandCustomElementPrefetchOptions} opts
+   * @returns {() => void} undo
+   */
+  function startPrefetching(opts) {
+    const tags = new Set((opts.tags ?? knownTagsOf(resolver)).map((t) => t.toLowerCase()));
+
+    if (opts.on === "idle") {
+      const trigger = createLoadTrigger({ loadOn: "idle" }, () => void prefetch([...tags]));
+      return () => trigger?.cancel();
+    }
+
+    /** @param {Event} event */
+    const onHover = (event) => {
+      if (!supportsModulePreload()) return;
+      for (const node of event.composedPath()) {
+        if (!(node instanceof Element)) continue;
+        for (const tag of node.getAttribute("data-ce-prefetch")?.split(/\s+/).filter(Boolean) ?? []) {
+          void prefetchTag(tag.toLowerCase());
+        }
+        // The hovered instance itself, so attribute-based resolvers see its attributes.
+        const tag = node.localName;
+        if ((tags.has(tag) || deferred.has(tag)) && !customElements.get(tag)) void prefetchTag(tag, node);
+      }
+    };
+    for (const type of ["pointerover", "focusin"]) observeRoot.addEventListener(type, onHover, { passive: true });
+    return () => {
+      for (const type of ["pointerover", "focusin"]) observeRoot.removeEventListener(type, onHover);
+    };
+  }
+
+  /**
+   * Try a failed tag again: re-apply its recorded resolution, or (if the resolver itself threw)
+   * ask the resolver again for an instance still in the document.
+   *
+   * @param {string} tagName
+   */
+  async function retry(tagName) {
+    const encounteredTag = tagName.toLowerCase();
+    const failure = failed.get(encounteredTag);
+    if (!failure) return;
+    failed.delete(encounteredTag);
+    // Failed tags are not tracked; find their instances again.
+    for (const el of elementsWithin(document)) {
+      if (el.localName === encounteredTag) trackInstance(encounteredTag, el);
+    }
+
+    if (failure.resolution) {
+      await applyResolution(encounteredTag, failure.resolution);
+      return;
+    }
+
+    await maybeLoadForTag(encounteredTag, instancesOf(encounteredTag));
+  }
+
+  async function retryAllFailed() {
+    await Promise.all([...failed.keys()].map((tag) => retry(tag)));
+  }
+
+  /**
+   * Forget skip decisions, for one tag or for all, and scan the document again so those
+   * instances are offered to the resolver once more (for example after the resolver's
+   * configuration changed).
+   *
+   * @param {string} [tagName]
+   */
+  async function clearSkipped(tagName) {
+    if (tagName) {
+      const tag = tagName.toLowerCase();
+      skipped.delete(tag);
+      for (const el of instancesOf(tag)) skippedElements.delete(el);
+    } else {
+      skipped.clear();
+      skippedElements = new WeakSet();
+    }
+    await scan(document);
+  }
+
+  /**
+   * Resolves once the tag is loaded (or already defined by anyone).
+   * Rejects with the failure’s error if it fails, or with an Error if it is skipped.
+   *
+   * @param {string} tagName
+   * @returns {Promise<void>}
+   */
+  function whenLoaded(tagName) {
+    const tag = tagName.toLowerCase();
+    if (loaded.has(tag) || customElements.get(tag)) return Promise.resolve();
+    const failure = failed.get(tag);
+    if (failure) return Promise.reject(failure.error);
+    if (skipped.has(tag)) return Promise.reject(new Error(`Custom element <${tag}> was skipped`));
+
+    return new Promise((resolve, reject) => {
+      /** @param {Event} event */
+      const onSettled = (event) => {
+        const { detail } = /** @type {OnDemandCustomElementEvent} */ (event);
+        if (detail.tag !== tag) return;
+        for (const type of SETTLED_EVENTS) events.removeEventListener(type, onSettled);
+        if (event.type === "defined") resolve();
+        else if (event.type === "failed") reject(detail.error);
+        else reject(new Error(`Custom element <${tag}> was skipped`));
+      };
+      for (const type of SETTLED_EVENTS) events.addEventListener(type, onSettled);
+    });
+  }
+
+  /**
+   * Resolves once no scan, resolver call or import is in flight.
+   * Deferred tags do not count: they wait on their load strategy, not on the loader.
+   *
+   * @returns {Promise<void>}
+   */
+  async function whenIdle() {
+    // Give queued mutation records a chance to reach the observer first.
+    await delay(0);
+    while (busy > 0) await new Promise((resolve) => idleWaiters.push(() => resolve(undefined)));
+  }
+
+  return Object.assign(events, {
     start,
     stop,
     scan,
     preload,
+    prefetch,
+    retry,
+    retryAllFailed,
+    clearSkipped,
+    whenLoaded,
+    whenIdle,
     state: {
       get pending() {
         return pending;
@@ -390,8 +2531,73 @@ export function createOnDemandCustomElementsLoader(options = {}) {
       get skipped() {
         return skipped;
       },
+      get deferred() {
+        return deferred;
+      },
     },
+  });
+}
+
+/**
+ * `<link rel="modulepreload">` tags for a set of tags, for server-rendered pages to include in
+ * their head: the same modules loader.prefetch() would warm, with integrity when known, following
+ * dependsOn. Runs anywhere, including Node. There is no element to pass to the resolver, so
+ * resolvers that read attributes find nothing; tags the resolver skips or throws on get no links,
+ * and the ones it throws on are reported through `log`.
+ *
+ * `base` is where custom-elements.js is served (eg "/js/custom-elements.js"), since relative
+ * resolution URLs resolve against it in the browser. Without it, relative URLs are written as given.
+ *
+ * @param {readonly string[]} tagNames
+ * @param {OnDemandCustomElementResolver} resolver
+ * @param {{ base?: string; log?: OnDemandCustomElementsLoaderOptions["log"] }} [options]
+ * @returns {Promise<string>} one link per line
+ */
+export async function modulePreloadLinks(tagNames, resolver, options = {}) {
+  // Stand-in origin, so a root-relative base stays root-relative in the output.
+  const origin = "https://base.invalid";
+  const base = options.base == null ? null : new URL(options.base, origin + "/");
+  /** @param {string | URL} url */
+  const hrefOf = (url) => {
+    if (!base) return String(url instanceof URL ? url.href : url);
+    const abs = new URL(String(url), base);
+    return abs.origin === origin ? abs.pathname + abs.search : abs.href;
   };
+  /** @param {string} v */
+  const escapeAttr = (v) => v.replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;");
+
+  /** @type {Map<string, string | undefined>} href -> integrity */
+  const links = new Map();
+  /** @type {Set<string>} */
+  const seen = new Set();
+
+  /** @param {string} tag */
+  async function visit(tag) {
+    if (seen.has(tag) || !isPotentialCustomElementTag(tag)) return;
+    seen.add(tag);
+    /** @type {false | OnDemandCustomElementResolution} */
+    let res;
+    try {
+      res = await resolver(tag, /** @type {any} */ (undefined));
+    } catch (error) {
+      options.log?.("warn", "Resolver threw; no preload links for this tag", { encounteredTag: tag, error });
+      return;
+    }
+    if (res === false) return;
+    for (const { url, integrity } of modulePreloadHints(res)) {
+      const href = hrefOf(url);
+      if (!links.has(href) || integrity) links.set(href, integrity);
+    }
+    for (const dep of res.dependsOn ?? []) await visit(dep.toLowerCase());
+  }
+  for (const tag of tagNames) await visit(tag.toLowerCase());
+
+  return [...links]
+    .map(([href, integrity]) => {
+      const integrityAttr = integrity ? ` integrity="${escapeAttr(integrity)}"` : "";
+      return `<link rel="modulepreload" href="${escapeAttr(href)}"${integrityAttr}>`;
+    })
+    .join("\n");
 }
 
 /* -------------------------------------------------------------------------------------------------
@@ -406,13 +2612,14 @@ export function createOnDemandCustomElementsLoader(options = {}) {
  * @returns {OnDemandCustomElementResolver}
  */
 export function composeOnDemandCustomElementResolvers(...resolvers) {
-  return async (tagName, el) => {
+  const composed = withObservedAttributes(async (tagName, el) => {
     for (const r of resolvers) {
       const out = await r(tagName, el);
       if (out !== false) return out;
     }
     return false;
-  };
+  }, resolvers.flatMap(observedAttributesOf));
+  return Object.assign(composed, { tags: [...new Set(resolvers.flatMap(knownTagsOf))] });
 }
 
 /**
@@ -420,19 +2627,23 @@ export function composeOnDemandCustomElementResolvers(...resolvers) {
  *
  * Values can be:
  * - string/URL (treated as importFromUrl)
- * - { importFromUrl, ... } or { importFromTmpl, ... }
+ * - a function (treated as load), so a bundler sees the import:
+ *     allowMapResolver({ "x-card": () => import("./x-card.js") })
+ * - { importFromUrl, ... }, { importFromTmpl, ... }, { load, ... } etc.
  *
- * @param {Record<string, string | URL | OnDemandCustomElementResolution>} allow
+ * @param {Record<string, string | URL | NonNullable<OnDemandCustomElementResolution["load"]> | OnDemandCustomElementResolution>} allow
  * @returns {OnDemandCustomElementResolver}
  */
 export function allowMapResolver(allow) {
   const m = new Map(Object.entries(allow).map(([k, v]) => [k.toLowerCase(), v]));
-  return async (tagName) => {
+  const resolve = async (/** @type {string} */ tagName) => {
     const v = m.get(tagName.toLowerCase());
     if (!v) return false;
     if (typeof v === "string" || v instanceof URL) return { importFromUrl: v };
+    if (typeof v === "function") return { load: v };
     return v;
   };
+  return Object.assign(resolve, { tags: [...m.keys()] });
 }
 
 /**
@@ -444,11 +2655,11 @@ export function allowMapResolver(allow) {
  * @returns {OnDemandCustomElementResolver}
  */
 export function attributeUrlResolver(attrName = "data-ce-url") {
-  return async (_tagName, el) => {
+  return withObservedAttributes(async (_tagName, el) => {
     const v = el.getAttribute(attrName);
     if (!v) return false;
     return { importFromUrl: v };
-  };
+  }, [attrName]);
 }
 
 /**
@@ -460,11 +2671,11 @@ export function attributeUrlResolver(attrName = "data-ce-url") {
  * @returns {OnDemandCustomElementResolver}
  */
 export function attributeTemplateResolver(attrName = "data-ce-tmpl") {
-  return async (_tagName, el) => {
+  return withObservedAttributes(async (_tagName, el) => {
     const v = el.getAttribute(attrName);
     if (!v) return false;
     return { importFromTmpl: v };
-  };
+  }, [attrName]);
 }
 
 /**
@@ -476,12 +2687,206 @@ export function attributeTemplateResolver(attrName = "data-ce-tmpl") {
  * @returns {OnDemandCustomElementResolver}
  */
 export function prefixGuardResolver(prefixes, inner) {
-  return async (tagName, el) => {
+  /** @param {string} tagName */
+  const allowed = (tagName) => {
     const t = tagName.toLowerCase();
     const dash = t.indexOf("-");
-    if (dash <= 0) return false;
-    const prefix = t.slice(0, dash);
-    if (!prefixes.includes(prefix)) return false;
+    return dash > 0 && prefixes.includes(t.slice(0, dash));
+  };
+  const guarded = withObservedAttributes(async (tagName, el) => {
+    if (!allowed(tagName)) return false;
     return inner(tagName, el);
+  }, observedAttributesOf(inner));
+  return Object.assign(guarded, { tags: knownTagsOf(inner).filter(allowed) });
+}
+
+/**
+ * Resolver: component manifest (JSON) fetched once from `url` and cached.
+ * Only tags listed in the manifest resolve; everything else is skipped.
+ *
+ * `reload()` fetches the manifest again and swaps it in once it parsed. Tags that are already
+ * defined stay as they are (custom elements cannot be redefined); new tags use the new entries.
+ *
+ * @param {string | URL} url
+ * @param {{ init?: RequestInit }} [options] passed to fetch (eg { init: { cache: "no-cache" } })
+ * @returns {OnDemandCustomElementResolver & { reload: () => Promise<void> }}
+ */
+export function manifestResolver(url, options = {}) {
+  const manifestHref = normalizeToAbsHref(url);
+
+  /** @type {Promise<Map<string, OnDemandCustomElementResolution>> | null} */
+  let entries = null;
+
+  async function fetchEntries() {
+    const resp = await fetch(manifestHref, options.init);
+    if (!resp.ok) throw new Error(`Failed to fetch component manifest ${manifestHref}: HTTP ${resp.status}`);
+
+    /** @type {OnDemandCustomElementManifest} */
+    const manifest = await resp.json();
+    if (!manifest || typeof manifest.components !== "object") {
+      throw new Error(`Component manifest ${manifestHref} has no "components" object`);
+    }
+
+    const base = new URL(manifest.baseUrl ?? ".", manifestHref).href;
+    /** @type {Map<string, OnDemandCustomElementResolution>} */
+    const m = new Map();
+    for (const [tag, entry] of Object.entries(manifest.components)) {
+      if (typeof entry === "string") {
+        m.set(tag.toLowerCase(), { importFromUrl: new URL(entry, base).href });
+        continue;
+      }
+      const { url: moduleUrl, template, preload, styles, ...rest } = entry;
+      /** @type {OnDemandCustomElementResolution} */
+      const res = { ...rest };
+      if (moduleUrl) res.importFromUrl = new URL(moduleUrl, base).href;
+      if (template) res.importFromTmpl = template;
+      if (preload) res.preload = preload.map((p) => new URL(p, base).href);
+      if (styles) res.styles = styles.map((p) => new URL(p, base).href);
+      m.set(tag.toLowerCase(), res);
+    }
+    return m;
+  }
+
+  function load() {
+    const loading = fetchEntries();
+    // Don’t cache a failed fetch: the next resolve (or loader.retry) fetches again.
+    loading.catch(() => {
+      if (entries === loading) entries = null;
+    });
+    return loading;
+  }
+
+  /** @type {OnDemandCustomElementResolver} */
+  const resolve = async (tagName) => {
+    entries ??= load();
+    const res = (await entries).get(tagName.toLowerCase());
+    return res ? { ...res } : false;
+  };
+
+  return Object.assign(resolve, {
+    async reload() {
+      const next = load();
+      await next;
+      entries = next;
+    },
+  });
+}
+
+/**
+ * Expand {tag}/{prefix}/{rest} placeholders, and $n / $<name> captures when a regex match is given.
+ *
+ * Tag names may contain dots, so a substituted value could become a "." or ".." path segment and
+ * walk out of the pattern's folder ("x-.." in "./elements/{prefix}/{rest}/index.js"). Percent-encoding
+ * doesn't help (URL parsing treats "%2e%2e" as ".." too), so such tags get no candidate at all.
+ *
+ * @param {string} pattern
+ * @param {string} tag
+ * @param {RegExpExecArray} [match]
+ * @returns {string | null} null when a substituted value could be a dot segment
+ */
+function expandTagPattern(pattern, tag, match) {
+  const dash = tag.indexOf("-");
+  /** @type {Record<string, string>} */
+  const vars = { tag, prefix: tag.slice(0, dash), rest: tag.slice(dash + 1) };
+  let unsafe = false;
+  /** @param {string} value */
+  const substitute = (value) => {
+    if (value === "." || value.includes("..")) unsafe = true;
+    return value;
+  };
+  let out = pattern.replace(/\{(tag|prefix|rest)\}/g, (_, name) => substitute(vars[name]));
+  if (match) {
+    out = out.replace(/\$(\d+)|\$<([^>]+)>/g, (_, index, name) =>
+      substitute(index != null ? (match[Number(index)] ?? "") : (match.groups?.[name] ?? "")),
+    );
+  }
+  return unsafe ? null : out;
+}
+
+/**
+ * Resolver: convention-based paths, no per-component registration.
+ *
+ * Candidates are tried in order and the first usable one wins:
+ * 1. `rules`: the first regex that matches the tag, mapped to its url or template
+ * 2. `template`: a template id pattern, used only if that <template> exists in the document
+ *    (so never where there is none, as in Node: the URL patterns still apply there)
+ * 3. `url`: one or more module URL patterns
+ *
+ * With `probe`, a URL candidate is only used if it exists (true = HEAD request, or pass your own
+ * check); missing files fall through to the next candidate and finally to “skip”, instead of
+ * failing on import. Probe results are cached per URL.
+ *
+ * Example:
+ *   patternResolver({ url: "./elements/{prefix}/{rest}.js", template: "tmpl-{tag}", probe: true })
+ *
+ * Combine with prefixGuardResolver to keep it from guessing paths for third-party tags.
+ *
+ * @param {PatternResolverOptions} options
+ * @returns {OnDemandCustomElementResolver}
+ */
+export function patternResolver(options) {
+  const urlPatterns = options.url == null ? [] : [options.url].flat();
+  const rules = options.rules ?? [];
+
+  /** @type {Map<string, Promise<boolean>>} */
+  const probed = new Map();
+
+  /** @param {string} href */
+  async function headExists(href) {
+    try {
+      const resp = await fetch(href, { method: "HEAD" });
+      return resp.ok;
+    } catch {
+      return false;
+    }
+  }
+
+  /** @param {string} url */
+  function exists(url) {
+    if (!options.probe) return Promise.resolve(true);
+    const href = normalizeToAbsHref(url);
+    let known = probed.get(href);
+    if (!known) {
+      const probe = options.probe === true ? headExists : options.probe;
+      known = Promise.resolve(probe(href)).then(Boolean, () => false);
+      probed.set(href, known);
+    }
+    return known;
+  }
+
+  /** @param {string} id */
+  function templateExists(id) {
+    if (typeof document === "undefined") return false;
+    return document.getElementById(id) instanceof HTMLTemplateElement;
+  }
+
+  return async (tagName) => {
+    const tag = tagName.toLowerCase();
+
+    for (const rule of rules) {
+      rule.match.lastIndex = 0;
+      const m = rule.match.exec(tag);
+      if (!m) continue;
+      if (rule.template) {
+        const id = expandTagPattern(rule.template, tag, m);
+        if (id != null && templateExists(id)) return { ...options.resolution, importFromTmpl: id };
+      }
+      if (rule.url) {
+        const url = expandTagPattern(rule.url, tag, m);
+        if (url != null && (await exists(url))) return { ...options.resolution, importFromUrl: url };
+      }
+    }
+
+    if (options.template) {
+      const id = expandTagPattern(options.template, tag);
+      if (id != null && templateExists(id)) return { ...options.resolution, importFromTmpl: id };
+    }
+
+    for (const pattern of urlPatterns) {
+      const url = expandTagPattern(pattern, tag);
+      if (url != null && (await exists(url))) return { ...options.resolution, importFromUrl: url };
+    }
+
+    return false;
   };
 }
@@ -0,0 +1,248 @@
+// fluent-component.js
+// Custom elements whose markup is built with fluent-html:
+//
+//   import { defineComponent } from "./fluent-component.js";
+//   import { button } from "./fluent-html.js";
+//
+//   defineComponent({
+//     tag: "x-counter",
+//     props: { count: Number, step: { type: Number, default: 1 } },
+//     styles: ":host { display: inline-block }",
+//     shadow: true,
+//     render: (el) => button({ on: { click: () => (el.count += el.step) } }, "Count: ", el.count),
+//   });
+//
+// Notes:
+// - Each declared prop is both a property and an attribute (count <-> count, maxItems <-> max-items).
+//   Attributes are converted by type: Number, Boolean (presence), String, Object/Array (JSON).
+//   An Object/Array attribute that is not valid JSON leaves the prop at its default, and the element
+//   dispatches a bubbling "attribute-error" event (detail.attribute, detail.value, detail.error).
+// - Changing a prop re-renders once per microtask through patch(), so focus, caret and keyed rows
+//   survive the update.
+// - With a tag, the element registers itself (the loader's self-registering contract). Without one
+//   (or with define: false) the class is only returned, so a module can export it and let the
+//   loader define it under the resolved name via exportName.
+
+import { patch } from "./fluent-html.js";
+
+/**
+ * @typedef {StringConstructor | NumberConstructor | BooleanConstructor | ObjectConstructor | ArrayConstructor} PropType
+ */
+
+/**
+ * @typedef {{
+ *   type?: PropType;
+ *   default?: unknown;
+ *   attribute?: string | false;
+ *   reflect?: boolean;
+ * }} PropOptions
+ */
+
+/**
+ * @typedef {{
+ *   tag?: string;
+ *   define?: boolean;
+ *   props?: Record<string, PropType | PropOptions>;
+ *   styles?: string | CSSStyleSheet | Array<string | CSSStyleSheet>;
+ *   shadow?: boolean | ShadowRootMode;
+ *   render: (host: HTMLElement & Record<string, any>) => unknown;
+ * }} ComponentOptions
+ */
+
+/** @type {Map<PropType, { fromAttribute: (v: string | null) => unknown; toAttribute: (v: unknown) => string | null }>} */
+const CONVERTERS = new Map([
+  [String, { fromAttribute: (v) => v, toAttribute: (v) => (v == null ? null : String(v)) }],
+  [
+    Number,
+    {
+      fromAttribute: (v) => (v == null || v.trim() === "" ? null : Number(v)),
+      toAttribute: (v) => (v == null ? null : String(v)),
+    },
+  ],
+  [Boolean, { fromAttribute: (v) => v != null, toAttribute: (v) => (v ? "" : null) }],
+  [Object, { fromAttribute: parseJsonAttr, toAttribute: (v) => (v == null ? null : JSON.stringify(v)) }],
+  [Array, { fromAttribute: parseJsonAttr, toAttribute: (v) => (v == null ? null : JSON.stringify(v)) }],
+]);
+
+// Throws on malformed JSON; attributeChangedCallback reports it from the element.
+function parseJsonAttr(v) {
+  return v == null ? null : JSON.parse(v);
+}
+
+const kebab = (s) => s.replace(/[A-Z]/g, (m) => "-" + m.toLowerCase());
+
+/**
+ * Normalize the props declaration into one record per prop.
+ * @param {Record<string, PropType | PropOptions>} props
+ */
+function normalizeProps(props) {
+  return Object.entries(props).map(([name, decl]) => {
+    const opts = typeof decl === "function" ? { type: decl } : decl;
+    const type = opts.type ?? String;
+    const converter = CONVERTERS.get(type);
+    if (!converter) throw new TypeError(`defineComponent: unsupported type for prop "${name}"`);
+    return {
+      name,
+      type,
+      converter,
+      attribute: opts.attribute === false ? null : (opts.attribute ?? kebab(name)),
+      reflect: !!opts.reflect,
+      // Object/array defaults are copied per instance so elements never share them.
+      initial: () => (opts.default !== null && typeof opts.default === "object" ? structuredClone(opts.default) : opts.default),
+    };
+  });
+}
+
+function supportsAdoptedStyleSheets() {
+  return typeof CSSStyleSheet === "function" && "replaceSync" in CSSStyleSheet.prototype && "adoptedStyleSheets" in Document.prototype;
+}
+
+/**
+ * Generate a custom element class that renders with fluent-html.
+ *
+ * @param {ComponentOptions} options
+ * @returns {CustomElementConstructor}
+ */
+export function defineComponent(options) {
+  const { tag, render, shadow = false } = options;
+  if (typeof render !== "function") throw new TypeError("defineComponent: render must be a function");
+
+  const props = normalizeProps(options.props ?? {});
+  const byAttribute = new Map(props.filter((p) => p.attribute).map((p) => [p.attribute, p]));
+  const styles = [options.styles ?? []].flat();
+  const mode = shadow === true ? "open" : shadow || null;
+
+  // Build constructable sheets once per class; every instance adopts the same objects.
+  /** @type {CSSStyleSheet[] | null} */
+  let sheets = null;
+  const sheetsFor = () =>
+    (sheets ??= styles.map((s) => {
+      if (typeof s !== "string") return s;
+      const sheet = new CSSStyleSheet();
+      sheet.replaceSync(s);
+      return sheet;
+    }));
+  const cssText = () => styles.map((s) => (typeof s === "string" ? s : [...s.cssRules].map((r) => r.cssText).join("\n"))).join("\n");
+  // Without a shadow root, styles go into the document once per definition, whatever name the
+  // class ends up registered under.
+  let lightStylesInjected = false;
+
+  class FluentComponent extends HTMLElement {
+    static observedAttributes = [...byAttribute.keys()];
+
+    /** @type {Record<string, unknown>} */
+    #values = {};
+    #scheduled = false;
+    #reflecting = false;
+    /** @type {ShadowRoot | null} */
+    #shadow = null;
+
+    constructor() {
+      super();
+      for (const p of props) this.#values[p.name] = p.initial();
+
+      // Properties assigned before the element upgraded shadow the accessors; route them through.
+      for (const p of props) {
+        if (!Object.prototype.hasOwnProperty.call(this, p.name)) continue;
+        const v = /** @type {any} */ (this)[p.name];
+        delete (/** @type {any} */ (this)[p.name]);
+        /** @type {any} */ (this)[p.name] = v;
+      }
+
+      if (mode) {
+        // Reuse a declarative shadow root from server-rendered HTML.
+        this.#shadow = this.shadowRoot ?? this.attachShadow({ mode });
+        if (styles.length && supportsAdoptedStyleSheets()) this.#shadow.adoptedStyleSheets = sheetsFor();
+      }
+    }
+
+    /** Where render output goes: the shadow root, or the element itself. */
+    get renderRoot() {
+      return this.#shadow ?? this;
+    }
+
+    connectedCallback() {
+      if (!mode && styles.length && !lightStylesInjected) {
+        lightStylesInjected = true;
+        const el = document.createElement("style");
+        el.dataset.component = this.localName;
+        el.textContent = cssText();
+        document.head.append(el);
+      }
+      this.update();
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+      if (this.#reflecting || oldValue === newValue) return;
+      const p = byAttribute.get(name);
+      if (!p) return;
+      let v;
+      try {
+        v = p.converter.fromAttribute(newValue);
+      } catch (error) {
+        v = null;
+        this.dispatchEvent(new CustomEvent("attribute-error", { bubbles: true, detail: { attribute: name, value: newValue, error } }));
+      }
+      this.#set(p, v == null ? p.initial() : v, false);
+    }
+
+    /** Render now. Prop changes call this for you, batched per microtask. */
+    update() {
+      this.#scheduled = false;
+      if (!this.isConnected) return;
+
+      const children = [render.call(this, this)].flat();
+      if (mode && styles.length && !supportsAdoptedStyleSheets()) {
+        const el = document.createElement("style");
+        el.textContent = cssText();
+        children.unshift(el);
+      }
+      patch(/** @type {Element} */ (/** @type {unknown} */ (this.renderRoot)), ...children);
+    }
+
+    /** Schedule a render for the end of the current task. */
+    requestUpdate() {
+      if (this.#scheduled) return;
+      this.#scheduled = true;
+      queueMicrotask(() => {
+        if (this.#scheduled) this.update();
+      });
+    }
+
+    #set(p, v, fromProperty) {
+      if (Object.is(this.#values[p.name], v)) return;
+      this.#values[p.name] = v;
+      if (fromProperty && p.reflect && p.attribute) {
+        const attr = p.converter.toAttribute(v);
+        this.#reflecting = true;
+        try {
+          if (attr == null) this.removeAttribute(p.attribute);
+          else this.setAttribute(p.attribute, attr);
+        } finally {
+          this.#reflecting = false;
+        }
+      }
+      this.requestUpdate();
+    }
+
+    static {
+      for (const p of props) {
+        Object.defineProperty(this.prototype, p.name, {
+          configurable: true,
+          enumerable: true,
+          get() {
+            return this.#values[p.name];
+          },
+          set(v) {
+            this.#set(p, v, true);
+          },
+        });
+      }
+    }
+  }
+
+  if (tag && options.define !== false && !customElements.get(tag)) {
+    customElements.define(tag, FluentComponent);
+  }
+  return FluentComponent;
+}
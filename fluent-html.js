@@ -14,11 +14,49 @@
 //
 // Notes:
 // - Creates real DOM nodes (no virtual DOM). For typical dashboards and tables this is plenty fast.
-// - For updates, call render(...) again (or replaceChildren on a specific container).
+// - For updates, call render(...) again (or replaceChildren on a specific container), or patch(...) to
+//   reconcile against the live DOM and keep focus, caret, scroll and input state. Give list rows a
+//   `key` attribute so patch can move them instead of rebuilding them.
+// - Or make parts reactive: pass signal()/computed() values as children, attribute values, style or
+//   dataset entries, and only that text node or attribute updates when the signal changes:
+//
+//     const count = signal(0);
+//     render(document.body, button({ on: { click: () => count.value++ } }, "Clicked ", count, " times"));
+//
+//   Bindings pause when their node leaves the document (or a shadow root that render() or patch()
+//   filled) and catch up when it is put back, and a computed stops following its sources once
+//   nothing displays it.
+// - Listeners are scoped to the render that added them: when render(), clear() or patch() drops an
+//   element, its `on` listeners are aborted, its `ref` is reset and its `onRemove` hook runs.
+//   An element the app removes itself keeps its listeners; its `ref` is reset until it is put
+//   back, and its `onRemove` hook runs once, on the first removal.
+//     div({ on: { scroll: [onScroll, { passive: true }] }, ref: (el) => (box = el), onRemove: () => chart.destroy() })
+// - Server side: renderToString(() => view()) runs the same view without a DOM and returns HTML
+//   (in Node there is no `document`, so tag functions build plain descriptors automatically).
+//   In the browser, hydrate(container, view()) patches the view onto that server-rendered markup:
+//   the view is built again on the client, but the server's elements stay and gain their `on`
+//   listeners, properties and signal bindings.
+// - Prefer markup over calls? markup`<li class=${cls} @click=${onClick}>${label}</li>` builds the same
+//   nodes. Static parts are parsed once per call site; interpolated values only ever become text
+//   nodes, attribute values (@event listeners, .prop properties), never markup.
+// - Namespaces follow the tree: everything built inside svg(...) is SVG (except what sits inside a
+//   foreignObject), everything inside math(...) is MathML, whatever the tag name. Prefixed
+//   attributes such as "xlink:href" or "xml:lang" are set with setAttributeNS.
 // - Children are flattened; strings/numbers become text nodes; null/undefined/false are ignored.
 // - First argument may be attributes/properties object.
 
 const SVG_NS = "http://www.w3.org/2000/svg";
+const MATHML_NS = "http://www.w3.org/1998/Math/MathML";
+
+// Tags that open a foreign namespace wherever they appear.
+const NS_ROOTS = { svg: SVG_NS, math: MATHML_NS };
+
+// Namespaces for prefixed attribute names.
+const ATTR_NS = {
+  xlink: "http://www.w3.org/1999/xlink",
+  xml: "http://www.w3.org/XML/1998/namespace",
+  xmlns: "http://www.w3.org/2000/xmlns/",
+};
 const SVG_TAGS = new Set([
   "svg",
   "g",
@@ -46,29 +84,458 @@ const SVG_TAGS = new Set([
 ]);
 
 /**
- * @typedef {Node | string | number | boolean | null | undefined | ChildLike[] } ChildLike
+ * @typedef {Node | string | number | boolean | null | undefined | ReadonlySignal<unknown> | ChildLike[] } ChildLike
+ */
+
+/**
+ * @template T
+ * @typedef {{ readonly value: T; peek(): T }} ReadonlySignal
  */
 
 /**
  * @typedef {Record<string, unknown> & {
- *   style?: string | Partial<CSSStyleDeclaration> | Record<string, string | number>;
- *   dataset?: Record<string, string | number | boolean | null | undefined>;
- *   on?: Record<string, EventListenerOrEventListenerObject>;
+ *   style?: string | Partial<CSSStyleDeclaration> | Record<string, string | number | ReadonlySignal<unknown>>;
+ *   dataset?: Record<string, string | number | boolean | null | undefined | ReadonlySignal<unknown>>;
+ *   on?: Record<string, EventListenerOrEventListenerObject | [EventListenerOrEventListenerObject, AddEventListenerOptions]>;
+ *   ref?: Ref;
+ *   onRemove?: (el: Element) => void;
  * }} Attrs
  */
 
+/**
+ * Receives the element an attrs object was applied to (and null once fluent-html drops it).
+ * @typedef {((el: Element | null) => void) | { current: Element | null }} Ref
+ */
+
+// ---------------------------------------------------------------------------------------------
+// Signals: signal() holds a value, computed() derives one, effect() re-runs when what it read changes.
+// Effects run synchronously on every change, once the computeds they read are up to date; don't
+// write a signal from an effect that reads it.
+// ---------------------------------------------------------------------------------------------
+
+let activeEffect = null;
+
+// Runners a change reached and that have not re-run yet. Computeds go first, so an effect never
+// sees one derived value updated and another still stale (a = 2 with b = a + 1 and c = a * 2
+// shows b + c = 7, never 5).
+/** @type {Set<{ run(): void }>} */
+const pendingComputeds = new Set();
+/** @type {Set<{ run(): void }>} */
+const pendingEffects = new Set();
+let flushing = false;
+
+// Called when the last effect that read a signal stops reading it (see Computed).
+/** @type {WeakMap<Set<unknown>, () => void>} */
+const unobserved = new WeakMap();
+
+function track(subscribers) {
+  if (!activeEffect) return;
+  subscribers.add(activeEffect);
+  activeEffect.deps.add(subscribers);
+}
+
+function trigger(subscribers) {
+  for (const runner of subscribers) {
+    // A runner's own writes don't re-run it.
+    if (!runner.running) (runner.derives ? pendingComputeds : pendingEffects).add(runner);
+  }
+  if (flushing) return;
+
+  // The outermost write runs everything it reached; writes made meanwhile join the queue.
+  flushing = true;
+  let failed = false;
+  let error;
+  try {
+    for (;;) {
+      const [runner] = pendingComputeds.size > 0 ? pendingComputeds : pendingEffects;
+      if (!runner) break;
+      pendingComputeds.delete(runner);
+      pendingEffects.delete(runner);
+      try {
+        runner.run();
+      } catch (err) {
+        if (!failed) error = err;
+        failed = true;
+      }
+    }
+  } finally {
+    flushing = false;
+  }
+  if (failed) throw error;
+}
+
+function release(sources) {
+  for (const subscribers of sources) {
+    if (subscribers.size === 0) unobserved.get(subscribers)?.();
+  }
+}
+
+function untracked(fn) {
+  const prev = activeEffect;
+  activeEffect = null;
+  try {
+    return fn();
+  } finally {
+    activeEffect = prev;
+  }
+}
+
+class Signal {
+  #value;
+  #subscribers = new Set();
+
+  /**
+   * @param {unknown} value
+   * @param {() => void} [onUnobserved]
+   */
+  constructor(value, onUnobserved) {
+    this.#value = value;
+    if (onUnobserved) unobserved.set(this.#subscribers, onUnobserved);
+  }
+
+  get value() {
+    track(this.#subscribers);
+    return this.#value;
+  }
+
+  set value(next) {
+    if (Object.is(next, this.#value)) return;
+    this.#value = next;
+    trigger(this.#subscribers);
+  }
+
+  /** Read without subscribing the running effect. */
+  peek() {
+    return this.#value;
+  }
+}
+
+// A computed follows its sources only while an effect (or binding) reads it, so it is let go
+// together with the last node that displayed it. Unobserved reads call fn directly.
+class Computed {
+  #fn;
+  #inner = new Signal(undefined, () => this.#disconnect());
+  /** @type {(() => void) | null} */
+  #stop = null;
+
+  constructor(fn) {
+    this.#fn = fn;
+  }
+
+  get value() {
+    if (!activeEffect && !this.#stop) return untracked(this.#fn);
+    this.#stop ??= watch(() => {
+      this.#inner.value = this.#fn();
+    }, true);
+    return this.#inner.value;
+  }
+
+  peek() {
+    return this.#stop ? this.#inner.peek() : untracked(this.#fn);
+  }
+
+  #disconnect() {
+    this.#stop?.();
+    this.#stop = null;
+  }
+}
+
+/**
+ * Create a writable signal.
+ * @template T
+ * @param {T} initial
+ * @returns {{ value: T; peek(): T }}
+ */
+export function signal(initial) {
+  return new Signal(initial);
+}
+
+/**
+ * Create a read-only signal derived from other signals; recomputed whenever they change while an
+ * effect or binding reads it.
+ * @template T
+ * @param {() => T} fn
+ * @returns {ReadonlySignal<T>}
+ */
+export function computed(fn) {
+  return new Computed(fn);
+}
+
+/**
+ * Run `fn` now and again whenever a signal it read changes. If `fn` returns a function, it runs
+ * before each re-run and on dispose.
+ * @param {() => void | (() => void)} fn
+ * @returns {() => void} dispose
+ */
+export function effect(fn) {
+  return watch(fn, false);
+}
+
+// derives: the runner keeps a computed up to date, so it runs before plain effects.
+function watch(fn, derives) {
+  let cleanup;
+  const runner = {
+    deps: new Set(),
+    derives,
+    running: false,
+    disposed: false,
+    run() {
+      if (runner.disposed || runner.running) return;
+      const previous = unsubscribe();
+      if (typeof cleanup === "function") cleanup();
+      const prev = activeEffect;
+      activeEffect = runner;
+      runner.running = true;
+      try {
+        cleanup = fn();
+      } finally {
+        activeEffect = prev;
+        runner.running = false;
+        // Only what this run stopped reading is released, not what it read again.
+        release(previous);
+      }
+    },
+  };
+  function unsubscribe() {
+    const previous = [...runner.deps];
+    for (const subscribers of previous) subscribers.delete(runner);
+    runner.deps.clear();
+    return previous;
+  }
+
+  runner.run();
+  return () => {
+    if (runner.disposed) return;
+    runner.disposed = true;
+    const previous = unsubscribe();
+    if (typeof cleanup === "function") cleanup();
+    release(previous);
+  };
+}
+
+/**
+ * @param {unknown} v
+ * @returns {v is ReadonlySignal<unknown>}
+ */
+export function isSignal(v) {
+  return v instanceof Signal || v instanceof Computed;
+}
+
+// Signal bindings per node. A binding updates `binding.target`, so patch() can retarget it to the
+// live node it reuses. Bindings pause when the app removes their node from the document and
+// resume when it is put back; they are disposed when fluent-html drops the node.
+/** @type {WeakMap<Node, { target: Node; update: (target: Node) => void; dispose: (() => void) | null }[]>} */
+const bindingsOf = new WeakMap();
+// Nodes with paused bindings or refs. The count only tells the observer whether added nodes are
+// worth walking; nodes that are never put back keep it above zero, which costs a walk, not a leak.
+/** @type {WeakSet<Node>} */
+const paused = new WeakSet();
+let pausedCount = 0;
+let removalObserver = null;
+/** @type {WeakSet<Node>} */
+const watchedRoots = new WeakSet();
+// Shadow roots render(), patch() and clear() were given, by host, so disposal reaches closed ones.
+/** @type {WeakMap<Element, ShadowRoot>} */
+const renderRoots = new WeakMap();
+
+function startBinding(binding) {
+  binding.dispose = effect(() => binding.update(binding.target));
+}
+
+function bind(node, update) {
+  const binding = { target: node, update, dispose: null };
+  startBinding(binding);
+  const bindings = bindingsOf.get(node) ?? [];
+  bindings.push(binding);
+  bindingsOf.set(node, bindings);
+  watchRemovals();
+}
+
+// Removals are watched in the document and in every shadow root fluent-html renders into; a
+// document observer does not see inside shadow roots.
+function watchRemovals(root = document) {
+  if (watchedRoots.has(root) || typeof MutationObserver !== "function") return;
+  removalObserver ??= new MutationObserver((records) => {
+    for (const record of records) {
+      for (const node of record.removedNodes) {
+        // Moved nodes are connected again by the time this runs.
+        if (!node.isConnected) disposeTree(node);
+      }
+      if (pausedCount === 0) continue;
+      for (const node of record.addedNodes) {
+        if (node.isConnected) resumeTree(node);
+      }
+    }
+  });
+  removalObserver.observe(root, { childList: true, subtree: true });
+  watchedRoots.add(root);
+}
+
+function watchRenderRoot(container) {
+  const root = container.getRootNode();
+  if (root.nodeType !== Node.DOCUMENT_FRAGMENT_NODE || !root.host) return;
+  renderRoots.set(root.host, root);
+  watchRemovals(root);
+}
+
+function disposeNode(node) {
+  if (paused.delete(node)) pausedCount--;
+  const bindings = bindingsOf.get(node);
+  if (!bindings) return;
+  bindingsOf.delete(node);
+  for (const binding of bindings) binding.dispose?.();
+}
+
+// Visit root and everything under it, shadow roots of hosts included.
+function walkTree(root, visit) {
+  visit(root);
+  if (root.nodeType !== Node.ELEMENT_NODE && root.nodeType !== Node.DOCUMENT_FRAGMENT_NODE) return;
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+  for (let n = root; n; n = walker.nextNode()) {
+    if (n !== root) visit(n);
+    const shadow = n.nodeType === Node.ELEMENT_NODE ? (n.shadowRoot ?? renderRoots.get(n)) : null;
+    if (shadow) walkTree(shadow, visit);
+  }
+}
+
+// Removal from the document pauses bindings, resets refs and runs onRemove hooks, including
+// inside the shadow roots of removed hosts. When fluent-html itself drops the node
+// (dropListeners), its bindings are disposed and its listeners aborted; an element the app
+// detaches and re-inserts keeps its listeners, and its bindings and ref pick up again.
+function disposeTree(root, dropListeners = false) {
+  walkTree(root, (node) => releaseNode(node, dropListeners));
+}
+
+function resumeTree(root) {
+  walkTree(root, (node) => {
+    if (!paused.delete(node)) return;
+    pausedCount--;
+    for (const binding of bindingsOf.get(node) ?? []) startBinding(binding);
+    const ref = appliedRefs.get(node);
+    if (ref) setRef(/** @type {Element} */ (node), ref);
+  });
+}
+
+function releaseNode(node, dropListeners) {
+  if (dropListeners) {
+    disposeNode(node);
+  } else {
+    if (paused.has(node)) return;
+    const bindings = bindingsOf.get(node);
+    if (bindings || appliedRefs.has(node)) {
+      paused.add(node);
+      pausedCount++;
+    }
+    for (const binding of bindings ?? []) {
+      binding.dispose?.();
+      binding.dispose = null;
+    }
+  }
+  if (node.nodeType !== Node.ELEMENT_NODE) return;
+  if (dropListeners) unlisten(node);
+
+  const ref = appliedRefs.get(node);
+  if (ref) {
+    // A paused ref is set again if the element comes back.
+    if (dropListeners) appliedRefs.delete(node);
+    if (typeof ref === "function") ref(null);
+    else if (ref.current === node) ref.current = null;
+  }
+
+  const hook = removeHooks.get(node);
+  if (hook) {
+    removeHooks.delete(node);
+    try {
+      hook(node);
+    } catch (err) {
+      (globalThis.reportError ?? console.error)(err);
+    }
+  }
+}
+
+function moveBindings(live, next) {
+  disposeNode(live);
+  const bindings = bindingsOf.get(next);
+  if (!bindings) return;
+  bindingsOf.delete(next);
+  for (const binding of bindings) binding.target = live;
+  bindingsOf.set(live, bindings);
+}
+
+// Elements created in the HTML namespace, with the name and attrs they were authored with, so they
+// can be rebuilt in the right namespace once a foreign parent adopts them (children are created
+// before their parent, and HTML lowercases names such as "feGaussianBlur" or "viewBox").
+/** @type {WeakMap<Element, { tagName: string; attrs: Attrs | undefined }>} */
+const authored = new WeakMap();
+
+// What applyAttrs set as DOM properties and listeners, so patch() can carry them over to reused nodes.
+/** @type {WeakMap<Element, Map<string, unknown>>} */
+const appliedProps = new WeakMap();
+/** @type {WeakMap<Element, [string, EventListenerOrEventListenerObject, AddEventListenerOptions | undefined][]>} */
+const appliedListeners = new WeakMap();
+
+// One AbortController per element for the listeners the current render added.
+/** @type {WeakMap<Element, AbortController>} */
+const listenerScopes = new WeakMap();
+/** @type {WeakMap<Element, Ref>} */
+const appliedRefs = new WeakMap();
+/** @type {WeakMap<Element, (el: Element) => void>} */
+const removeHooks = new WeakMap();
+// Attribute names a view gave a custom element, so patch() can tell them from the ones the
+// element (or the loader) set itself.
+/** @type {WeakMap<Element, Set<string>>} */
+const viewAttributes = new WeakMap();
+
+function rememberViewAttributes(el) {
+  if (el.localName.includes("-")) viewAttributes.set(el, new Set([...el.attributes].map((attr) => attr.name)));
+}
+
+function listen(el, type, listener, options) {
+  let scope = listenerScopes.get(el);
+  if (!scope) {
+    scope = new AbortController();
+    listenerScopes.set(el, scope);
+  }
+  // A caller's own signal still works; without AbortSignal.any, unlisten() removes it by hand.
+  const signal = options?.signal ? (AbortSignal.any?.([options.signal, scope.signal]) ?? options.signal) : scope.signal;
+  el.addEventListener(type, listener, { ...options, signal });
+  const listeners = appliedListeners.get(el) ?? [];
+  listeners.push([type, listener, options]);
+  appliedListeners.set(el, listeners);
+}
+
+function unlisten(el) {
+  listenerScopes.get(el)?.abort();
+  listenerScopes.delete(el);
+  for (const [type, listener, options] of appliedListeners.get(el) ?? []) {
+    if (options?.signal) el.removeEventListener(type, listener, options);
+  }
+  appliedListeners.delete(el);
+}
+
+function setRef(el, ref) {
+  appliedRefs.set(el, ref);
+  watchRemovals();
+  if (typeof ref === "function") ref(el);
+  else ref.current = el;
+}
+
 function isNode(v) {
   return v != null && typeof v === "object" && typeof v.nodeType === "number";
 }
 
 function isPlainObject(v) {
-  return v != null && typeof v === "object" && !Array.isArray(v) && !isNode(v);
+  return v != null && typeof v === "object" && !Array.isArray(v) && !isNode(v) && !isSignal(v) && !isVNode(v);
 }
 
 function toTextNode(v) {
   return document.createTextNode(String(v));
 }
 
+function textOf(v) {
+  return v == null || typeof v === "boolean" ? "" : String(v);
+}
+
 function appendChild(parent, child) {
   if (child == null || child === false) return;
   if (Array.isArray(child)) {
@@ -79,6 +546,14 @@ function appendChild(parent, child) {
     parent.appendChild(child);
     return;
   }
+  if (isSignal(child)) {
+    const t = toTextNode("");
+    bind(t, (target) => {
+      target.data = textOf(child.value);
+    });
+    parent.appendChild(t);
+    return;
+  }
   if (typeof child === "string" || typeof child === "number") {
     parent.appendChild(toTextNode(child));
     return;
@@ -88,60 +563,343 @@ function appendChild(parent, child) {
   parent.appendChild(toTextNode(child));
 }
 
+function setStyle(el, sk, sv) {
+  // @ts-ignore
+  el.style[sk] = sv == null ? "" : String(sv);
+}
+
+function setData(el, dk, dv) {
+  if (dv == null) delete el.dataset[dk];
+  else el.dataset[dk] = String(dv);
+}
+
+function attrNamespace(k) {
+  const colon = k.indexOf(":");
+  if (colon <= 0) return null;
+  return ATTR_NS[k.slice(0, colon)] ?? null;
+}
+
+// Put a DOM property applyAttr set back to its default: false, "", or no reflected attribute.
+function resetProp(el, k) {
+  // @ts-ignore
+  const current = el[k];
+  // Only assign what differs: a reflected property such as title would put its attribute back.
+  if (typeof current === "boolean") {
+    // @ts-ignore
+    if (current) el[k] = false;
+  } else if (typeof current === "string") {
+    // @ts-ignore
+    if (current !== "") el[k] = "";
+  } else {
+    el.removeAttribute(PROP_ATTRS[k] ?? k);
+  }
+}
+
+function removeAttr(el, k) {
+  const ns = attrNamespace(k);
+  if (ns) {
+    el.removeAttributeNS(ns, k.slice(k.indexOf(":") + 1));
+    return;
+  }
+  if (k in el && !k.includes("-")) {
+    resetProp(el, k);
+    appliedProps.get(el)?.delete(k);
+  }
+  el.removeAttribute(k);
+}
+
+function applyAttr(el, k, v, isUpdate) {
+  if (v == null || v === false) {
+    if (isUpdate) removeAttr(el, k);
+    return;
+  }
+
+  if (k === "style") {
+    if (typeof v === "string") {
+      el.setAttribute("style", v);
+    } else if (typeof v === "object") {
+      for (const [sk, sv] of Object.entries(v)) {
+        if (isSignal(sv)) {
+          bind(el, (target) => setStyle(target, sk, sv.value));
+          continue;
+        }
+        if (sv == null) continue;
+        setStyle(el, sk, sv);
+      }
+    }
+    return;
+  }
+
+  if (k === "dataset" && typeof v === "object") {
+    for (const [dk, dv] of Object.entries(v)) {
+      if (isSignal(dv)) {
+        bind(el, (target) => setData(target, dk, dv.value));
+        continue;
+      }
+      if (dv == null) continue;
+      setData(el, dk, dv);
+    }
+    return;
+  }
+
+  if (k === "on" && typeof v === "object") {
+    for (const [ek, ev] of Object.entries(v)) {
+      if (!ev) continue;
+      if (Array.isArray(ev)) listen(el, ek, ev[0], ev[1]);
+      else listen(el, ek, ev, undefined);
+    }
+    return;
+  }
+
+  if (k === "ref" && (typeof v === "function" || typeof v === "object")) {
+    setRef(el, v);
+    return;
+  }
+
+  if (k === "onRemove" && typeof v === "function") {
+    removeHooks.set(el, v);
+    watchRemovals();
+    return;
+  }
+
+  // Prefixed attributes (xlink:href, xml:lang, xmlns:*)
+  const ns = attrNamespace(k);
+  if (ns) {
+    el.setAttributeNS(ns, k, v === true ? "" : String(v));
+    return;
+  }
+
+  // Common DOM properties (className, value, checked, disabled, etc.)
+  // If property exists, prefer setting it.
+  if (k in el && !k.includes("-")) {
+    try {
+      // @ts-ignore
+      el[k] = v;
+      const props = appliedProps.get(el) ?? new Map();
+      props.set(k, v);
+      appliedProps.set(el, props);
+      return;
+    } catch {
+      // fall through
+    }
+  }
+
+  // Boolean attributes
+  if (v === true) {
+    el.setAttribute(k, "");
+    return;
+  }
+
+  el.setAttribute(k, String(v));
+}
+
 function applyAttrs(el, attrs) {
   if (!attrs) return;
 
   for (const [k, v] of Object.entries(attrs)) {
-    if (v == null || v === false) continue;
+    if (isSignal(v)) {
+      bind(el, (target) => applyAttr(target, k, v.value, true));
+      continue;
+    }
+    applyAttr(el, k, v, false);
+  }
+}
+
+// ---------------------------------------------------------------------------------------------
+// String backend: without a DOM (or inside renderToString), tag functions build plain descriptors
+// that serialize to HTML.
+// ---------------------------------------------------------------------------------------------
+
+const VNODE = Symbol("fluent-html.vnode");
+let forceStringBackend = 0;
+
+function useStringBackend() {
+  return forceStringBackend > 0 || typeof document === "undefined";
+}
+
+function isVNode(v) {
+  return v != null && typeof v === "object" && v[VNODE] === true;
+}
+
+function vnode(tagName, ns, attrs, children) {
+  return { [VNODE]: true, tagName, ns, attrs, children };
+}
+
+const VOID_TAGS = new Set([
+  "area",
+  "base",
+  "br",
+  "col",
+  "embed",
+  "hr",
+  "img",
+  "input",
+  "link",
+  "meta",
+  "source",
+  "track",
+  "wbr",
+]);
+const RAW_TEXT_TAGS = new Set(["script", "style"]);
+
+// DOM property names that serialize under a different attribute name.
+const PROP_ATTRS = {
+  className: "class",
+  htmlFor: "for",
+  tabIndex: "tabindex",
+  readOnly: "readonly",
+  maxLength: "maxlength",
+  colSpan: "colspan",
+  rowSpan: "rowspan",
+  contentEditable: "contenteditable",
+  crossOrigin: "crossorigin",
+};
+
+const ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+function escapeHtml(v) {
+  return String(v).replace(/[&<>"']/g, (c) => ESCAPES[c]);
+}
+
+function kebab(name) {
+  return name.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`);
+}
+
+// CSSOM name -> CSS property: cssFloat is float, and msTransform or webkitTransform carry a
+// vendor prefix (WebkitTransform already kebabs to -webkit-transform).
+function cssProperty(name) {
+  if (name.startsWith("--")) return name;
+  if (name === "cssFloat") return "float";
+  const property = kebab(name);
+  return /^(ms|webkit|moz)-/.test(property) ? `-${property}` : property;
+}
+
+// Names createElement and setAttribute would refuse, and that would break out of the tag when
+// written as text.
+const INVALID_NAME = /[\s"'<>/=\0]/;
+
+function checkName(name, kind) {
+  if (name === "" || INVALID_NAME.test(name)) throw new Error(`renderToString: invalid ${kind} name ${JSON.stringify(name)}`);
+  return name;
+}
+
+function peekValue(v) {
+  return isSignal(v) ? v.peek() : v;
+}
+
+function serializeStyle(style) {
+  const parts = [];
+  for (const [sk, raw] of Object.entries(style)) {
+    const sv = peekValue(raw);
+    if (sv == null || sv === "") continue;
+    parts.push(`${cssProperty(sk)}: ${sv}`);
+  }
+  return parts.join("; ");
+}
+
+function serializeAttrs(attrs) {
+  let out = "";
+  for (const [k, raw] of Object.entries(attrs ?? {})) {
+    const v = peekValue(raw);
+    if (v == null || v === false || typeof v === "function") continue;
+    if (k === "on" || k === "ref" || k === "textContent" || k === "innerHTML") continue;
 
     if (k === "style") {
-      if (typeof v === "string") {
-        el.setAttribute("style", v);
-      } else if (typeof v === "object") {
-        for (const [sk, sv] of Object.entries(v)) {
-          if (sv == null) continue;
-          // @ts-ignore
-          el.style[sk] = String(sv);
-        }
-      }
+      const css = typeof v === "string" ? v : serializeStyle(v);
+      if (css) out += ` style="${escapeHtml(css)}"`;
       continue;
     }
 
     if (k === "dataset" && typeof v === "object") {
-      for (const [dk, dv] of Object.entries(v)) {
+      for (const [dk, rawData] of Object.entries(v)) {
+        const dv = peekValue(rawData);
         if (dv == null) continue;
-        el.dataset[dk] = String(dv);
+        out += ` ${checkName(`data-${kebab(dk)}`, "attribute")}="${escapeHtml(dv)}"`;
       }
       continue;
     }
 
-    if (k === "on" && typeof v === "object") {
-      for (const [ek, ev] of Object.entries(v)) {
-        if (!ev) continue;
-        el.addEventListener(ek, ev);
-      }
-      continue;
-    }
+    const name = checkName(PROP_ATTRS[k] ?? k, "attribute");
+    out += v === true ? ` ${name}` : ` ${name}="${escapeHtml(v)}"`;
+  }
+  return out;
+}
 
-    // Common DOM properties (className, value, checked, disabled, etc.)
-    // If property exists, prefer setting it.
-    if (k in el && !k.includes("-")) {
-      try {
-        // @ts-ignore
-        el[k] = v;
-        continue;
-      } catch {
-        // fall through
-      }
-    }
+function serializeChild(child, rawText = false, foreign = false) {
+  child = peekValue(child);
+  if (child == null || typeof child === "boolean") return "";
+  if (Array.isArray(child)) return child.map((c) => serializeChild(c, rawText, foreign)).join("");
+  if (isVNode(child)) return serializeVNode(child, foreign);
+  if (isNode(child)) {
+    // Real DOM nodes (browser only) serialize as they are.
+    if (child.nodeType === Node.ELEMENT_NODE) return child.outerHTML;
+    if (child.nodeType === Node.TEXT_NODE) return escapeHtml(child.data);
+    if (child.nodeType === Node.DOCUMENT_FRAGMENT_NODE) return [...child.childNodes].map((c) => serializeChild(c)).join("");
+    return "";
+  }
+  // Script/style content is not HTML-escaped; only an early closing tag is neutralized.
+  if (rawText) return String(child).replace(/<\/(script|style)/gi, "<\\/$1");
+  return escapeHtml(child);
+}
 
-    // Boolean attributes
-    if (v === true) {
-      el.setAttribute(k, "");
-      continue;
-    }
+function serializeVNode(node, inForeign = false) {
+  if (node.tagName == null) return serializeChild(node.children, false, inForeign);
+
+  const { attrs } = node;
+  const tagName = checkName(node.tagName, "tag");
+  // SVG/MathML content: no void elements, no raw text, empty elements self-close.
+  const foreign = node.ns != null || inForeign;
+  const open = `<${tagName}${serializeAttrs(attrs)}`;
+  if (!foreign && VOID_TAGS.has(tagName)) return `${open}>`;
+
+  let inner;
+  if (attrs?.innerHTML != null) inner = String(peekValue(attrs.innerHTML));
+  else if (attrs?.textContent != null) inner = escapeHtml(peekValue(attrs.textContent));
+  else inner = serializeChild(node.children, !foreign && RAW_TEXT_TAGS.has(tagName), foreign && tagName !== "foreignObject");
+
+  if (foreign && inner === "") return `${open}/>`;
+  return `${open}>${inner}</${tagName}>`;
+}
+
+/**
+ * Render a view to an HTML string, without touching the DOM. Functions are called with the string
+ * backend forced, so the same view code works in Node and in the browser:
+ *
+ *   const html = renderToString(() => body(h1("Report"), table(rows.map(row))));
+ *
+ * Text and attribute values are escaped; `on` listeners are left for hydrate(); signals render
+ * their current value.
+ * @param  {...(ChildLike | (() => ChildLike))} children
+ * @returns {string}
+ */
+export function renderToString(...children) {
+  forceStringBackend++;
+  try {
+    return children.map((c) => serializeChild(typeof c === "function" ? c() : c)).join("");
+  } finally {
+    forceStringBackend--;
+  }
+}
+
+// Rebuild HTML-namespace children (and their descendants) of a foreign parent in its namespace.
+// Children of foreignObject stay HTML.
+function adoptIntoNamespace(parent, ns) {
+  for (const child of [...parent.children]) {
+    const source = authored.get(child);
+    if (!source) continue;
 
-    el.setAttribute(k, String(v));
+    // The HTML element is thrown away, not removed: drop its listeners, ref and onRemove hook
+    // without running them, so only the converted element answers to the attrs.
+    const converted = document.createElementNS(ns, source.tagName);
+    disposeNode(child);
+    unlisten(child);
+    appliedRefs.delete(child);
+    removeHooks.delete(child);
+    appliedProps.delete(child);
+    applyAttrs(converted, source.attrs);
+    converted.append(...child.childNodes);
+    if (source.tagName !== "foreignObject") adoptIntoNamespace(converted, ns);
+    child.replaceWith(converted);
   }
 }
 
@@ -151,7 +909,7 @@ function applyAttrs(el, attrs) {
  * @returns {( ...args: any[] ) => HTMLElement | SVGElement}
  */
 function tag(tagName) {
-  const isSvg = SVG_TAGS.has(tagName);
+  const ns = NS_ROOTS[tagName] ?? (SVG_TAGS.has(tagName) ? SVG_NS : null);
   return (...args) => {
     /** @type {Attrs | undefined} */
     let attrs;
@@ -166,13 +924,18 @@ function tag(tagName) {
       children = /** @type {ChildLike[]} */ (args);
     }
 
-    const el = isSvg
-      ? document.createElementNS(SVG_NS, tagName)
+    if (useStringBackend()) return /** @type {any} */ (vnode(tagName, ns, attrs, children));
+
+    const el = ns
+      ? document.createElementNS(ns, tagName)
       : document.createElement(tagName);
+    if (!ns) authored.set(el, { tagName, attrs });
 
     applyAttrs(el, attrs);
 
     for (const c of children) appendChild(el, c);
+    if (ns && tagName !== "foreignObject") adoptIntoNamespace(el, ns);
+    rememberViewAttributes(el);
     return el;
   };
 }
@@ -183,6 +946,7 @@ function tag(tagName) {
  * @returns {DocumentFragment}
  */
 export function fragment(...children) {
+  if (useStringBackend()) return /** @type {any} */ (vnode(null, null, undefined, children));
   const f = document.createDocumentFragment();
   for (const c of children) appendChild(f, c);
   return f;
@@ -195,8 +959,165 @@ export function fragment(...children) {
  * @returns {void}
  */
 export function render(container, ...children) {
+  watchRenderRoot(container);
   const f = fragment(...children);
+  const previous = [...container.childNodes];
   container.replaceChildren(f);
+  for (const node of previous) if (!node.parentNode) disposeTree(node, true);
+}
+
+function keyOf(node) {
+  return node.nodeType === Node.ELEMENT_NODE ? node.getAttribute("key") : null;
+}
+
+function sameKind(a, b) {
+  if (a.nodeType !== b.nodeType) return false;
+  if (a.nodeType !== Node.ELEMENT_NODE) return true;
+  return a.localName === b.localName && a.namespaceURI === b.namespaceURI;
+}
+
+// keep: attribute names to leave alone when the new view does not set them.
+function morphAttributes(live, next, keep) {
+  for (const attr of [...live.attributes]) {
+    if (keep(attr.name) || next.hasAttributeNS(attr.namespaceURI, attr.localName)) continue;
+    live.removeAttributeNS(attr.namespaceURI, attr.localName);
+  }
+  for (const attr of next.attributes) {
+    if (live.getAttributeNS(attr.namespaceURI, attr.localName) === attr.value) continue;
+    live.setAttributeNS(attr.namespaceURI, attr.name, attr.value);
+  }
+}
+
+function morphProps(live, next) {
+  const props = appliedProps.get(next) ?? new Map();
+  const focused = live === live.ownerDocument.activeElement;
+  // Never fight the user over what they are typing.
+  const userOwned = (k) => focused && (k === "value" || k === "checked");
+
+  // Properties the previous view set and this one leaves out (or sets to null/false) go back to
+  // their defaults, or an unchecked box would stay checked.
+  for (const k of appliedProps.get(live)?.keys() ?? []) {
+    if (!props.has(k) && !userOwned(k)) resetProp(live, k);
+  }
+  for (const [k, v] of props) {
+    if (userOwned(k)) continue;
+    // @ts-ignore
+    if (live[k] !== v) live[k] = v;
+  }
+  if (props.size > 0) appliedProps.set(live, props);
+  else appliedProps.delete(live);
+}
+
+function morphListeners(live, next) {
+  unlisten(live);
+  const listeners = appliedListeners.get(next);
+  if (!listeners) return;
+  unlisten(next);
+  for (const [type, listener, options] of listeners) listen(live, type, listener, options);
+}
+
+// The new view's ref and onRemove hook now belong to the live element it was merged into.
+function morphHooks(live, next) {
+  const ref = appliedRefs.get(next);
+  appliedRefs.delete(next);
+  if (ref) setRef(live, ref);
+  else appliedRefs.delete(live);
+
+  const hook = removeHooks.get(next);
+  removeHooks.delete(next);
+  if (hook) removeHooks.set(live, hook);
+  else removeHooks.delete(live);
+}
+
+function morphNode(live, next) {
+  moveBindings(live, next);
+  if (live.nodeType !== Node.ELEMENT_NODE) {
+    if (live.nodeValue !== next.nodeValue) live.nodeValue = next.nodeValue;
+    return;
+  }
+
+  // Custom elements manage their own state: keep attributes they (or the loader) set, but not
+  // those the previous view set, and only reconcile their children when the new view supplies some.
+  const isCustom = live.localName.includes("-");
+  if (isCustom) {
+    const fromView = viewAttributes.get(live);
+    morphAttributes(live, next, (name) => !fromView?.has(name));
+    rememberViewAttributes(next);
+    viewAttributes.set(live, /** @type {Set<string>} */ (viewAttributes.get(next)));
+  } else {
+    morphAttributes(live, next, () => false);
+  }
+  morphProps(live, next);
+  morphListeners(live, next);
+  morphHooks(live, next);
+  if (isCustom && !next.hasChildNodes()) return;
+  morphChildren(live, next);
+}
+
+function morphChildren(live, next) {
+  /** @type {Map<string, ChildNode>} */
+  const keyed = new Map();
+  for (const child of live.childNodes) {
+    const key = keyOf(child);
+    if (key != null) keyed.set(key, child);
+  }
+
+  let cursor = live.firstChild;
+  for (const nextChild of [...next.childNodes]) {
+    const key = keyOf(nextChild);
+    let match = null;
+    if (key != null) {
+      match = keyed.get(key) ?? null;
+      keyed.delete(key);
+      if (match && !sameKind(match, nextChild)) match = null;
+    } else if (cursor && keyOf(cursor) == null && sameKind(cursor, nextChild)) {
+      match = cursor;
+    }
+
+    if (!match) {
+      live.insertBefore(nextChild, cursor);
+      continue;
+    }
+    if (match === cursor) cursor = cursor.nextSibling;
+    else live.insertBefore(match, cursor);
+    morphNode(match, nextChild);
+  }
+
+  while (cursor) {
+    const stale = cursor;
+    cursor = cursor.nextSibling;
+    live.removeChild(stale);
+    disposeTree(stale, true);
+  }
+}
+
+/**
+ * Reconcile the contents of a container with the provided nodes, reusing live elements where the
+ * tag matches (and, for children with a `key` attribute, where the key matches, wherever they
+ * moved). Only changed attributes, properties, listeners and text are touched, so focus, caret
+ * position, scroll state and input values survive an update.
+ * @param {Element} container
+ * @param  {...ChildLike} children
+ * @returns {void}
+ */
+export function patch(container, ...children) {
+  watchRenderRoot(container);
+  morphChildren(container, fragment(...children));
+}
+
+/**
+ * Attach a view to markup that renderToString produced for the same view. This is patch() under
+ * another name: the view is built in full on the client and merged into the markup, so elements
+ * the server rendered are kept (with whatever the user already typed or scrolled) and gain their
+ * `on` listeners, DOM properties and signal bindings. Text the parser merged, such as "n=" next to
+ * a signal, is split into fresh text nodes again; where the markup differs from the view, it is
+ * repaired the same way.
+ * @param {Element} container
+ * @param  {...ChildLike} children
+ * @returns {void}
+ */
+export function hydrate(container, ...children) {
+  patch(container, ...children);
 }
 
 /**
@@ -204,7 +1125,229 @@ export function render(container, ...children) {
  * @param {Element} container
  */
 export function clear(container) {
+  watchRenderRoot(container);
+  const previous = [...container.childNodes];
   container.replaceChildren();
+  for (const node of previous) disposeTree(node, true);
+}
+
+// ---------------------------------------------------------------------------------------------
+// Tagged templates: markup`...`
+// ---------------------------------------------------------------------------------------------
+
+const MARKER_RE = /\u2060fh(\d+)\u2060/g;
+const marker = (i) => `\u2060fh${i}\u2060`;
+const CHILD_MARKER_RE = /^fh(\d+)$/;
+const RAW_CONTENT_TAGS = new Set(["script", "style", "textarea", "title"]);
+// Properties that parse what they are given as HTML; markup never binds values to them.
+const HTML_SINKS = new Set(["innerHTML", "outerHTML"]);
+
+function refuseHtmlSink(name) {
+  throw new Error(`markup: ${name} would parse its value as HTML; interpolate nodes or text as children instead`);
+}
+
+/** @type {WeakMap<TemplateStringsArray, { template: HTMLTemplateElement; parts: any[] }>} */
+const markupCache = new WeakMap();
+
+// Turn the static parts into template HTML with markers: a comment where a child goes, a marker
+// string where an attribute value goes, a marker attribute where an attrs object is spread.
+// Attribute names are remembered as written, because the parser lowercases them.
+function prepareMarkup(strings) {
+  let html = "";
+  let state = "text";
+  let tagName = "";
+  // Inside script/style/textarea/title: the closing tag to look for, and how much of it matched.
+  let rawClose = "";
+  let rawMatched = 0;
+  const names = [];
+
+  for (let i = 0; i < strings.length; i++) {
+    const str = strings[i];
+    for (let j = 0; j < str.length; j++) {
+      const ch = str[j];
+      html += ch;
+      if (state === "text") {
+        if (html.endsWith("<!--")) state = "comment";
+        else if (ch === "<" && /[a-zA-Z]/.test(str[j + 1] ?? "")) {
+          state = "tag";
+          tagName = /^[a-zA-Z][^\s/>]*/.exec(str.slice(j + 1))?.[0].toLowerCase() ?? "";
+        }
+      } else if (state === "comment") {
+        if (html.endsWith("-->")) state = "text";
+      } else if (state === "raw") {
+        if (ch.toLowerCase() === rawClose[rawMatched]) rawMatched++;
+        else rawMatched = ch === "<" ? 1 : 0;
+        if (rawMatched === rawClose.length) state = "tag";
+      } else if (state === "tag") {
+        if (ch === '"') state = "dq";
+        else if (ch === "'") state = "sq";
+        else if (ch === ">") {
+          state = RAW_CONTENT_TAGS.has(tagName) ? "raw" : "text";
+          rawClose = `</${tagName}`;
+          rawMatched = 0;
+          tagName = "";
+        }
+      } else if ((state === "dq" && ch === '"') || (state === "sq" && ch === "'")) {
+        state = "tag";
+      }
+    }
+
+    if (i === strings.length - 1) break;
+    if (state === "text") {
+      html += `<!--fh${i}-->`;
+    } else if (state === "raw") {
+      throw new Error(`markup: values cannot be interpolated inside <${rawClose.slice(2)}>`);
+    } else if (state === "comment") {
+      // Values inside comments are dropped.
+    } else {
+      const value = { dq: '"[^"]*', sq: "'[^']*", tag: "[^\\s\"'>]*" }[state];
+      const m = new RegExp(`([^\\s"'>/=]+)\\s*=\\s*${value}$`).exec(html);
+      if (state === "tag" && !m) {
+        html += ` ${marker(i)}`;
+        names[i] = null;
+      } else {
+        html += marker(i);
+        names[i] = m?.[1] ?? "";
+      }
+    }
+  }
+
+  const template = document.createElement("template");
+  template.innerHTML = html;
+  return { template, parts: collectParts(template.content, names) };
+}
+
+// Record, by position in a tree walk, which nodes take values, and strip the markers from the
+// template so each clone starts clean.
+function collectParts(content, names) {
+  const parts = [];
+  const walker = document.createTreeWalker(content, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_COMMENT);
+  let index = -1;
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    index++;
+    if (node.nodeType === Node.COMMENT_NODE) {
+      const child = CHILD_MARKER_RE.exec(node.data);
+      if (child) parts.push({ index, kind: "child", value: Number(child[1]) });
+      continue;
+    }
+    for (const attr of [...node.attributes]) {
+      const spread = /^\u2060fh(\d+)\u2060$/.exec(attr.name);
+      if (spread) {
+        parts.push({ index, kind: "spread", value: Number(spread[1]) });
+        node.removeAttribute(attr.name);
+        continue;
+      }
+      const pieces = attr.value.split(MARKER_RE);
+      if (pieces.length === 1) continue;
+
+      // pieces alternate: static, value index, static, value index, ..., static
+      const statics = pieces.filter((_, n) => n % 2 === 0);
+      const values = pieces.filter((_, n) => n % 2 === 1).map(Number);
+      const name = names[values[0]] || attr.name;
+      node.removeAttribute(attr.name);
+
+      if (/^on/i.test(name)) throw new Error(`markup: use @${name.slice(2)}=\${...} instead of interpolating into ${name}`);
+      if (HTML_SINKS.has(name[0] === "." ? name.slice(1) : name)) refuseHtmlSink(name);
+      if ((name[0] === "@" || name[0] === ".") && (values.length > 1 || statics.some((x) => x !== ""))) {
+        throw new Error(`markup: ${name} must be bound to exactly one value`);
+      }
+      parts.push({ index, kind: "attr", name, statics, values });
+    }
+  }
+  return parts;
+}
+
+function applyMarkupAttr(el, part, values) {
+  const { name, statics } = part;
+  const value = values[part.values[0]];
+
+  if (name[0] === "@") {
+    if (value) applyAttr(el, "on", { [name.slice(1)]: value }, false);
+    return;
+  }
+  if (name[0] === ".") {
+    const prop = name.slice(1);
+    const set = (target, v) => {
+      target[prop] = v;
+      const props = appliedProps.get(target) ?? new Map();
+      props.set(prop, v);
+      appliedProps.set(target, props);
+    };
+    if (isSignal(value)) bind(el, (target) => set(target, value.value));
+    else set(el, value);
+    return;
+  }
+
+  // One value, nothing around it: same rules as tag function attrs (booleans, null, style/dataset objects, signals).
+  if (part.values.length === 1 && statics[0] === "" && statics[1] === "") {
+    if (isSignal(value)) bind(el, (target) => applyAttr(target, name, value.value, true));
+    else applyAttr(el, name, value, false);
+    return;
+  }
+
+  const parts = part.values.map((i) => values[i]);
+  const join = () => statics.reduce((out, str, n) => out + str + (n < parts.length ? textOf(readValue(parts[n])) : ""), "");
+  if (parts.some(isSignal)) bind(el, (target) => target.setAttribute(name, join()));
+  else el.setAttribute(name, join());
+}
+
+function readValue(v) {
+  return isSignal(v) ? v.value : v;
+}
+
+/**
+ * Build DOM from a tagged template. Values are never parsed as HTML: in content they become text
+ * nodes (or the nodes, arrays and signals tag functions accept as children), in attributes they
+ * become values. Binding forms:
+ *   - name=${v} or name="a ${v} b": attribute (single values follow tag-function attr rules)
+ *   - @event=${fn}: event listener
+ *   - .prop=${v}: DOM property
+ *   - <div ${attrs}>: spread an attrs object
+ * innerHTML and outerHTML take no values in any of these forms (markup throws), and neither do
+ * on* attributes or the content of script, style, textarea and title.
+ * Returns the element when the template has a single root, otherwise a DocumentFragment.
+ *
+ *   const row = (r) => markup`<tr key=${r.id} @click=${() => select(r)}><td>${r.name}</td></tr>`;
+ *
+ * The `html` export is the <html> tag function, hence the different name.
+ * @param {TemplateStringsArray} strings
+ * @param  {...unknown} values
+ * @returns {Node}
+ */
+export function markup(strings, ...values) {
+  if (typeof document === "undefined") throw new Error("markup`` needs a DOM; use tag functions for renderToString in Node");
+
+  let prepared = markupCache.get(strings);
+  if (!prepared) {
+    prepared = prepareMarkup(strings);
+    markupCache.set(strings, prepared);
+  }
+
+  const frag = /** @type {DocumentFragment} */ (document.importNode(prepared.template.content, true));
+  const nodes = [];
+  const walker = document.createTreeWalker(frag, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_COMMENT);
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) nodes.push(node);
+
+  for (const part of prepared.parts) {
+    const node = nodes[part.index];
+    if (part.kind === "child") {
+      const children = document.createDocumentFragment();
+      appendChild(children, /** @type {ChildLike} */ (values[part.value]));
+      node.replaceWith(children);
+    } else if (part.kind === "spread") {
+      const attrs = values[part.value];
+      for (const name of Object.keys(attrs ?? {})) if (HTML_SINKS.has(name)) refuseHtmlSink(name);
+      applyAttrs(node, attrs);
+    } else {
+      applyMarkupAttr(node, part, values);
+    }
+  }
+  for (const node of nodes) if (node.nodeType === Node.ELEMENT_NODE) rememberViewAttributes(node);
+
+  // Drop formatting whitespace around the roots.
+  while (frag.firstChild?.nodeType === Node.TEXT_NODE && !frag.firstChild.data.trim()) frag.firstChild.remove();
+  while (frag.lastChild?.nodeType === Node.TEXT_NODE && !frag.lastChild.data.trim()) frag.lastChild.remove();
+  return frag.childNodes.length === 1 ? /** @type {Node} */ (frag.firstChild) : frag;
 }
 
 /**
@@ -275,10 +1418,15 @@ export const li = tag("li");
 
 export const img = tag("img");
 
-// SVG helpers (optional to import directly)
+// SVG helpers (optional to import directly); any other SVG tag works inside svg() via h.*
 export const svg = tag("svg");
 export const g = tag("g");
 export const path = tag("path");
 export const circle = tag("circle");
 export const rect = tag("rect");
-export const text = tag("text");
+export const svgText = tag("text");
+/** @deprecated SVG <text>, not a text node; use svgText. */
+export const text = svgText;
+
+// MathML root; everything inside it (h.mi, h.mo, h.mfrac, ...) is MathML
+export const math = tag("math");